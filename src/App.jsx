@@ -1,316 +1,467 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import * as XLSX from "xlsx";
-import Papa from "papaparse";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import html2pdf from "html2pdf.js";
 import {
-  LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer,
+  LineChart, Line, BarChart, Bar, ComposedChart, Area, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer,
 } from "recharts";
+import {
+  sum, avg, pick, toDate, findHeaderRow, headersAt, mapColumns, fieldsOf, headerSignature,
+  DATASETS, autoMapping, matchProfile, dataQualityIssues, salesSpanNote, computeTrends, customerAnalytics, supplierAnalytics,
+  DEFAULT_SETTINGS, DEFAULT_LEAD_TIMES, workingCapital, itemDemandChart,
+  suggestPurchaseOrders, netsuitePORows, DEFAULT_PRICING, simulatePricing, MIN_CHANGE_PCT, clampChangePct, isValidElasticity,
+  DEFAULT_LIQUIDATION, LIQUIDATION_ACTIONS, planLiquidation, REPORT_SECTIONS, reportTables, tableToRows,
+  DEFAULT_ENTITY, scopeDatasets, DEFAULT_SERVICE_LEVELS, abcXyzMatrix, zScore, customerProfitability,
+  ALERT_SEVERITIES, ALERT_OPS, DEFAULT_ALERT_RULES, alertRulesOrDefaults, alertFields, evaluateAlerts, alertValuesText, DAY_MS, AGING_BUCKETS, inventoryAging,
+  latestDataDate, localDay,
+} from "./engine.js";
+import { ensureExt, parseCSV, writeWorkbook } from "./io.js";
+import { createEngineClient, isCancelled } from "./engineClient.js";
 
 // ---------- utils ----------
-const fmtCurrency = (v) => new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(Number(v) || 0);
+// Money follows the reporting currency: App provides the formatters and components read them with useMoney().
+// fmtAxis is the compact form for chart ticks; symbol labels money inputs.
+function moneyFormat(code) {
+  let full;
+  try { full = new Intl.NumberFormat("en-US", { style: "currency", currency: code }); } catch { full = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }); }
+  const currency = full.resolvedOptions().currency;
+  const compact = new Intl.NumberFormat("en-US", { style: "currency", currency, notation: "compact", maximumFractionDigits: 1 });
+  return {
+    currency,
+    symbol: full.formatToParts(0).find((p) => p.type === "currency")?.value ?? currency,
+    fmtCurrency: (v) => full.format(Number(v) || 0),
+    fmtAxis: (v) => compact.format(Number(v) || 0),
+  };
+}
+const MoneyContext = createContext(moneyFormat("USD"));
+const useMoney = () => useContext(MoneyContext);
 const fmtPct = (v, d = 1) => `${(Number(v) || 0).toFixed(d)}%`;
 const fmtInt = (v) => (Number(v) || 0).toLocaleString();
-const sum = (arr) => arr.reduce((a, b) => a + (Number(b) || 0), 0);
-const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + (Number(b) || 0), 0) / arr.length : 0);
-const lowerKeys = (obj) => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [String(k).toLowerCase().trim(), v]));
-const pick = (obj, keys) => {
-  const l = lowerKeys(obj);
-  for (const k of keys) {
-    const v = l[String(k).toLowerCase().trim()];
-    if (v !== undefined) return v;
-  }
-  // contains match
-  for (const k of Object.keys(l)) {
-    if (keys.some((cand) => k.includes(String(cand).toLowerCase().trim()))) return l[k];
-  }
-  return undefined;
-};
 
-function ensureExt(file, allowed) {
-  const ok = allowed.some((e) => file.name.toLowerCase().endsWith(e));
-  if (!ok) throw new Error(`Expected ${allowed.join(", ")} but got "${file.name}"`);
-}
+// ---------- local storage (IndexedDB) ----------
+// Everything stays in this browser: the current session is auto-saved under one key and
+// named snapshots ("Sept close", "Oct close") live in their own store. Alert rules and the
+// acknowledge/snooze state of their alerts persist across sessions and data loads.
+const DB_NAME = "netsuite-bi";
+const DB_VERSION = 3;
+const SESSION_KEY = "current";
 
-function parseCSV(file) {
+function openDB() {
   return new Promise((resolve, reject) => {
-    Papa.parse(file, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (res) => resolve(res.data),
-      error: (err) => reject(err),
-    });
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available in this browser"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("session")) db.createObjectStore("session");
+      if (!db.objectStoreNames.contains("snapshots")) db.createObjectStore("snapshots", { keyPath: "id", autoIncrement: true });
+      if (!db.objectStoreNames.contains("mappingProfiles")) db.createObjectStore("mappingProfiles", { keyPath: "id", autoIncrement: true });
+      if (!db.objectStoreNames.contains("alertRules")) {
+        // seed with the stockout and loss alerts that used to be hardcoded
+        const rules = db.createObjectStore("alertRules", { keyPath: "id", autoIncrement: true });
+        DEFAULT_ALERT_RULES.forEach((r) => rules.add(r));
+      }
+      if (!db.objectStoreNames.contains("alertStates")) db.createObjectStore("alertStates", { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
   });
 }
 
-async function readWorkbook(file) {
-  const data = new Uint8Array(await file.arrayBuffer());
-  return XLSX.read(data, { type: "array" });
+async function idb(store, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => { db.close(); resolve(req?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
 }
 
-function findHeaderRow(ws, expectedHeaders) {
-  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true });
-  for (let i = 0; i < Math.min(rows.length, 30); i++) {
-    const r = (rows[i] || []).map((x) => String(x ?? "").toLowerCase());
-    const hits = expectedHeaders.filter((h) => r.includes(String(h).toLowerCase())).length;
-    if (hits >= Math.ceil(expectedHeaders.length * 0.5)) return i;
-  }
-  return 0;
-}
+const loadSession = () => idb("session", "readonly", (st) => st.get(SESSION_KEY));
+const saveSession = (data) => idb("session", "readwrite", (st) => st.put(data, SESSION_KEY));
+const clearSession = () => idb("session", "readwrite", (st) => st.delete(SESSION_KEY));
+const listSnapshots = async () => {
+  const all = (await idb("snapshots", "readonly", (st) => st.getAll())) || [];
+  // only metadata for the list; datasets are read on load
+  return all.map(({ id, name, capturedAt, counts }) => ({ id, name, capturedAt, counts })).sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+};
+const getSnapshot = (id) => idb("snapshots", "readonly", (st) => st.get(id));
+const putSnapshot = (snap) => idb("snapshots", "readwrite", (st) => st.add(snap));
+const deleteSnapshot = (id) => idb("snapshots", "readwrite", (st) => st.delete(id));
+const listProfiles = async () => (await idb("mappingProfiles", "readonly", (st) => st.getAll())) || [];
+const putProfile = (profile) => idb("mappingProfiles", "readwrite", (st) => st.put(profile));
+const deleteProfile = (id) => idb("mappingProfiles", "readwrite", (st) => st.delete(id));
+const listAlertRules = async () => (await idb("alertRules", "readonly", (st) => st.getAll())) || [];
+const putAlertRule = (rule) => idb("alertRules", "readwrite", (st) => st.put(rule));
+const deleteAlertRule = (id) => idb("alertRules", "readwrite", (st) => st.delete(id));
+const listAlertStates = async () => Object.fromEntries(((await idb("alertStates", "readonly", (st) => st.getAll())) || []).map((s) => [s.key, s]));
+const putAlertState = (state) => idb("alertStates", "readwrite", (st) => st.put(state));
+const deleteAlertState = (key) => idb("alertStates", "readwrite", (st) => st.delete(key));
 
 // ---------- app ----------
 export default function App() {
-  const rootRef = useRef(null);
   const [status, setStatus] = useState("");
 
   const [costData, setCostData] = useState([]);
   const [salesMap, setSalesMap] = useState({});
+  const [salesLines, setSalesLines] = useState([]);
   const [customerData, setCustomerData] = useState([]);
+  const [customerLines, setCustomerLines] = useState([]);
   const [supplierData, setSupplierData] = useState({ suppliers: [], lineItems: [] });
+  const [dataQuality, setDataQuality] = useState({});
+  // last uploaded workbook per dataset, kept in memory for the mapping wizard
+  const lastBooks = useRef({});
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = createEngineClient();
+  const engine = engineRef.current;
+  // bumped on cancel so the inventory model recomputes in the fresh worker
+  const [engineEpoch, setEngineEpoch] = useState(0);
+  const [progress, setProgress] = useState(null);
+  useEffect(() => () => engine.cancel(), [engine]);
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [alertRules, setAlertRules] = useState([]);
+  const [alertStates, setAlertStates] = useState({});
+  const [wizard, setWizard] = useState(null);
+  const [appendUploads, setAppendUploads] = useState(false);
 
   // thresholds
-  const [slowCost, setSlowCost] = useState(400);
-  const [deadCost, setDeadCost] = useState(200);
-  const [slowDays, setSlowDays] = useState(180);
-  const [targetMargin, setTargetMargin] = useState(0.30);
-  const [orderingCost, setOrderingCost] = useState(50);
-  const [holdingCostRate, setHoldingCostRate] = useState(0.25);
+  const [slowCost, setSlowCost] = useState(DEFAULT_SETTINGS.slowCost);
+  const [deadCost, setDeadCost] = useState(DEFAULT_SETTINGS.deadCost);
+  const [slowDays, setSlowDays] = useState(DEFAULT_SETTINGS.slowDays);
+  const [targetMargin, setTargetMargin] = useState(DEFAULT_SETTINGS.targetMargin);
+  const [orderingCost, setOrderingCost] = useState(DEFAULT_SETTINGS.orderingCost);
+  const [holdingCostRate, setHoldingCostRate] = useState(DEFAULT_SETTINGS.holdingCostRate);
+  const [trendMode, setTrendMode] = useState("rolling");
+  // lead time / safety-stock days: item override > supplier > item type
+  const [leadTimes, setLeadTimes] = useState(DEFAULT_LEAD_TIMES);
+  const [supplierLeadTimes, setSupplierLeadTimes] = useState({});
+  const [itemOverrides, setItemOverrides] = useState({});
+  // safety stock: "days" of demand per lead-time policy, or "service" levels per ABC/XYZ cell
+  const [safetyMethod, setSafetyMethod] = useState("days");
+  const [serviceLevels, setServiceLevels] = useState(DEFAULT_SERVICE_LEVELS);
+  // pricing workbench assumptions; kept out of `settings` so what-if edits don't re-run the inventory model
+  const [pricing, setPricing] = useState(DEFAULT_PRICING);
+  const [liquidation, setLiquidation] = useState(DEFAULT_LIQUIDATION);
+  const [reportPrefs, setReportPrefs] = useState(DEFAULT_REPORT_PREFS);
+  // subsidiary filter, currency conversion and intercompany patterns; applied to every dataset before analysis
+  const [entity, setEntity] = useState(DEFAULT_ENTITY);
+  const [agingAsOf, setAgingAsOf] = useState(""); // "" follows the newest date in the loaded data
+  const money = useMemo(() => moneyFormat(entity.reportingCurrency), [entity.reportingCurrency]);
+  const { fmtCurrency, fmtAxis, symbol } = money;
+
+  // persistence
+  const [restored, setRestored] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState("");
+
+  const settings = useMemo(
+    () => ({ slowCost, deadCost, slowDays, targetMargin, orderingCost, holdingCostRate, leadTimes, supplierLeadTimes, itemOverrides, safetyMethod, serviceLevels }),
+    [slowCost, deadCost, slowDays, targetMargin, orderingCost, holdingCostRate, leadTimes, supplierLeadTimes, itemOverrides, safetyMethod, serviceLevels]
+  );
+  function applySettings(st = {}) {
+    if (st.slowCost != null) setSlowCost(st.slowCost);
+    if (st.deadCost != null) setDeadCost(st.deadCost);
+    if (st.slowDays != null) setSlowDays(st.slowDays);
+    if (st.targetMargin != null) setTargetMargin(st.targetMargin);
+    if (st.orderingCost != null) setOrderingCost(st.orderingCost);
+    if (st.holdingCostRate != null) setHoldingCostRate(st.holdingCostRate);
+    if (st.leadTimes) setLeadTimes({ ...DEFAULT_LEAD_TIMES, ...st.leadTimes });
+    if (st.supplierLeadTimes) setSupplierLeadTimes(st.supplierLeadTimes);
+    if (st.itemOverrides) setItemOverrides(st.itemOverrides);
+    if (st.safetyMethod) setSafetyMethod(st.safetyMethod);
+    if (st.serviceLevels) setServiceLevels({ ...DEFAULT_SERVICE_LEVELS, ...st.serviceLevels });
+  }
+  const datasets = { costData, salesMap, salesLines, customerData, customerLines, supplierData, dataQuality };
+  function applyDatasets(d = {}) {
+    setCostData(d.costData || []);
+    setSalesMap(d.salesMap || {});
+    setSalesLines(d.salesLines || []);
+    setCustomerData(d.customerData || []);
+    setCustomerLines(d.customerLines || []);
+    setSupplierData(d.supplierData || { suppliers: [], lineItems: [] });
+    setDataQuality(d.dataQuality || {});
+  }
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const saved = await loadSession();
+        if (saved) {
+          applyDatasets(saved.datasets);
+          applySettings(saved.settings);
+          if (saved.pricing) setPricing({ ...DEFAULT_PRICING, ...saved.pricing });
+          if (saved.liquidation) setLiquidation({ ...DEFAULT_LIQUIDATION, ...saved.liquidation });
+          if (saved.report) setReportPrefs({ ...DEFAULT_REPORT_PREFS, ...saved.report });
+          if (saved.entity) setEntity({ ...DEFAULT_ENTITY, ...saved.entity });
+          setStatus(`✅ Restored session saved ${new Date(saved.savedAt).toLocaleString()}`);
+        }
+        setSnapshots(await listSnapshots());
+        setMappingProfiles(await listProfiles());
+        setAlertRules(await listAlertRules());
+        setAlertStates(await listAlertStates());
+      } catch (e) {
+        setStatus(`⚠️ Local storage unavailable: ${e.message}`);
+      }
+      setRestored(true);
+    })();
+  }, []);
+
+  // auto-save; debounced so a burst of threshold edits is one write
+  useEffect(() => {
+    if (!restored) return;
+    const t = setTimeout(() => {
+      saveSession({ savedAt: new Date().toISOString(), datasets, settings, pricing, liquidation, report: reportPrefs, entity }).catch((e) => setStatus(`⚠️ Could not save session: ${e.message}`));
+    }, 500);
+    return () => clearTimeout(t);
+  }, [restored, costData, salesMap, salesLines, customerData, customerLines, supplierData, dataQuality, settings, pricing, liquidation, reportPrefs, entity]);
+
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [compareA, setCompareA] = useState("");
+  const [compareB, setCompareB] = useState("current");
+  const [comparison, setComparison] = useState(null);
+
+  async function datasetFor(key) {
+    if (key === "current") return { name: "Current session", datasets };
+    const snap = await getSnapshot(Number(key));
+    return snap ? { name: snap.name, datasets: snap.datasets } : null;
+  }
+
+  async function runComparison() {
+    const [a, b] = await Promise.all([datasetFor(compareA), datasetFor(compareB)]);
+    if (!a || !b) return setStatus("⚠️ Pick two datasets to compare");
+    const slim = (d) => {
+      const { costData, salesMap, salesLines, supplierData } = scopeDatasets(d, entity);
+      return { costData, salesMap, salesLines, supplierData };
+    };
+    const diff = await engine.diff(slim(a.datasets), slim(b.datasets), settings, liquidation);
+    if (!diff) return setStatus("⚠️ Both datasets need item cost data to compare");
+    setComparison({ before: a.name, after: b.name, ...diff });
+  }
+
+  async function saveSnapshot() {
+    const name = snapshotName.trim() || `Snapshot ${new Date().toLocaleDateString("en-US")}`;
+    const counts = { items: costData.length, sales: Object.keys(salesMap).length, customers: customerData.length, poLines: supplierData.lineItems.length };
+    await putSnapshot({ name, capturedAt: new Date().toISOString(), counts, datasets, settings });
+    setSnapshotName("");
+    setSnapshots(await listSnapshots());
+    setStatus(`✅ Snapshot "${name}" saved`);
+  }
+
+  async function loadSnapshot(id) {
+    const snap = await getSnapshot(id);
+    if (!snap) return;
+    applyDatasets(snap.datasets);
+    applySettings(snap.settings);
+    setStatus(`✅ Loaded snapshot "${snap.name}"`);
+  }
+
+  async function removeSnapshot(id, name) {
+    if (!window.confirm(`Delete snapshot "${name}"?`)) return;
+    await deleteSnapshot(id);
+    setSnapshots(await listSnapshots());
+  }
+
+  async function clearAll() {
+    if (!window.confirm("Clear the loaded datasets from this browser? Saved snapshots are kept.")) return;
+    applyDatasets({});
+    await clearSession();
+    setStatus("Session cleared");
+  }
+
+  // everything below the upload area analyses the scoped view: one subsidiary (or all), in the reporting currency
+  const scoped = useMemo(
+    () => scopeDatasets({ costData, salesMap, salesLines, customerData, customerLines, supplierData }, entity),
+    [costData, salesMap, salesLines, customerData, customerLines, supplierData, entity],
+  );
 
   const metrics = useMemo(() => {
-    if (!costData.length) return { avgMargin: 32.21, totalProfit: 5446368.847, totalRevenue: 14444187.626, losingItems: 367 };
-    const margins = costData.map((i) => Number(i.profitMargin) || 0);
+    const items = scoped.costData;
+    if (!items.length) return { avgMargin: 32.21, totalProfit: 5446368.847, totalRevenue: 14444187.626, losingItems: 367 };
+    const margins = items.map((i) => Number(i.profitMargin) || 0);
     const avgMargin = avg(margins);
-    const totalProfit = sum(costData.map((i) => Number(i.totalProfit) || 0));
-    const totalRevenue = sum(costData.map((i) => Number(i.totalRevenue) || 0));
-    const losingItems = costData.filter((i) => (Number(i.profitMargin) || 0) < 0).length;
+    const totalProfit = sum(items.map((i) => Number(i.totalProfit) || 0));
+    const totalRevenue = sum(items.map((i) => Number(i.totalRevenue) || 0));
+    const losingItems = items.filter((i) => (Number(i.profitMargin) || 0) < 0).length;
     return { avgMargin, totalProfit, totalRevenue, losingItems };
-  }, [costData]);
-
-  // recompute inventory + predictive whenever inputs change
-  const computed = useMemo(() => {
-    if (!costData.length) return null;
-    const items = costData.map((item) => {
-      const code = item.itemCode;
-      const s = salesMap[code] || salesMap[`${code}-New`] || salesMap[`${code}-ReCert`] || salesMap[item.fullItem] || null;
-      const annualSales = s ? Number(s.totalQtySold) : 0;
-      const dailySales = annualSales / 365;
-      const daysOfInventory = dailySales > 0 ? Number(item.Quantity) / dailySales : Infinity;
-
-      const leadTimeDays = item.itemType === "ReCert" ? 28 : 21;
-      const safetyStock = dailySales * Math.max(7, Math.round(leadTimeDays/2));
-      const reorderPoint = (dailySales * leadTimeDays) + safetyStock;
-      const daysUntilStockout = dailySales > 0 ? Number(item.Quantity) / dailySales : Infinity;
-
-      const holdingCost = Number(item.unitCost) * holdingCostRate;
-      const eoq = (holdingCost > 0 && annualSales > 0) ? Math.round(Math.sqrt((2 * annualSales * orderingCost) / holdingCost)) : Math.round((annualSales/12) * 3);
-
-      const targetPrice = Number(item.unitCost) > 0 ? Number(item.unitCost) / (1 - targetMargin) : 0;
-      const priceDelta = Math.max(0, targetPrice - Number(item.unitPrice));
-      const annualImpact = priceDelta * annualSales;
-
-      return { ...item, annualSales, dailySales, daysOfInventory, reorderPoint, daysUntilStockout, eoq, priceDelta, annualImpact };
-    });
-
-    const slowMovers = items
-      .filter((it) => it.totalCost > slowCost && (it.daysOfInventory > slowDays || it.annualSales === 0) && it.Quantity > 0)
-      .sort((a, b) => b.totalCost - a.totalCost);
+  }, [scoped.costData]);
 
-    const deadStock = items
-      .filter((it) => it.annualSales === 0 && it.totalCost > deadCost && it.Quantity > 0)
-      .sort((a, b) => b.totalCost - a.totalCost);
+  // recompute inventory + predictive in the worker whenever inputs change; stale results are dropped
+  const [computed, setComputed] = useState(null);
+  useEffect(() => {
+    if (!scoped.costData.length) return setComputed(null);
+    let live = true;
+    engine.compute(scoped.costData, scoped.salesMap, settings, scoped.supplierData.lineItems, scoped.salesLines)
+      .then((c) => live && setComputed(c))
+      .catch((e) => live && !isCancelled(e) && setStatus(`⚠️ ${e.message}`));
+    return () => { live = false; };
+  }, [engine, engineEpoch, scoped, settings]);
 
-    const criticalStockouts = items
-      .filter((it) => it.daysUntilStockout <= 30 && it.daysUntilStockout !== Infinity && it.totalCost > 1000)
-      .sort((a, b) => a.daysUntilStockout - b.daysUntilStockout);
+  // ---------- file handlers ----------
+  const onProgress = (label) => ({ phase, done, total }) => setProgress({ label: `${label}: ${phase}`, done, total });
 
-    const warningStockouts = items
-      .filter((it) => it.daysUntilStockout > 30 && it.daysUntilStockout <= 60 && it.totalCost > 500)
-      .sort((a, b) => a.daysUntilStockout - b.daysUntilStockout);
+  // every worker job goes through here so Cancel and errors are handled in one place
+  async function runJob(label, job) {
+    setProgress({ label, done: 0, total: 0 });
+    try {
+      await job(onProgress(label));
+    } catch (e) {
+      if (!isCancelled(e)) throw e;
+      setStatus("Cancelled");
+    } finally {
+      setProgress(null);
+    }
+  }
 
-    const priceOpps = items
-      .filter((it) => it.priceDelta > 0 && it.annualSales > 0 && it.totalRevenue > 5000)
-      .sort((a, b) => b.annualImpact - a.annualImpact);
+  function cancelJob() {
+    engine.cancel();
+    lastBooks.current = {};
+    setWizard(null);
+    setEngineEpoch((n) => n + 1);
+  }
 
-    return { items, slowMovers, deadStock, criticalStockouts, warningStockouts, priceOpps };
-  }, [costData, salesMap, slowCost, deadCost, slowDays, targetMargin, orderingCost, holdingCostRate]);
+  const setReport = (kind, report) => setDataQuality((prev) => ({ ...prev, [kind]: report }));
 
-  // ---------- file handlers ----------
-  async function handleCost(file) {
-    ensureExt(file, [".csv"]);
-    setStatus("Processing cost CSV...");
-    const rows = await parseCSV(file);
-    const items = rows
-      .filter((row) => pick(row, ["Average Item Rate"]) != null && pick(row, ["Average of Est. Unit Cost"]) != null)
-      .map((row) => {
-        const fullItem = String(pick(row, ["Item"]) || "");
-        const unitPrice = Number(pick(row, ["Average Item Rate"])) || 0;
-        const unitCost = Number(pick(row, ["Average of Est. Unit Cost"])) || 0;
-        const qty = Number(pick(row, ["Quantity", "Qty"])) || 0;
-        const profitPerUnit = unitPrice > 0 ? unitPrice - unitCost : 0;
-        const profitMargin = unitPrice > 0 ? ((unitPrice - unitCost) / unitPrice) * 100 : 0;
-        return {
-          fullItem,
-          itemCode: fullItem ? fullItem.split(" : ")[0] : "",
-          itemType: /ReCert/i.test(fullItem) ? "ReCert" : "New",
-          unitPrice, unitCost, Quantity: qty,
-          profitPerUnit, profitMargin,
-          totalProfit: profitPerUnit * qty,
-          totalRevenue: unitPrice * qty,
-          totalCost: unitCost * qty,
-        };
-      });
-    setCostData(items);
-    setStatus("✅ Cost data loaded");
+  function applyParsed(kind, result) {
+    if (kind === "cost") setCostData(result.items);
+    if (kind === "sales") { setSalesMap(result.salesMap); setSalesLines(result.salesLines); }
+    if (kind === "customer") { setCustomerData(result.customers); setCustomerLines(result.lines); }
+    if (kind === "supplier") setSupplierData({ suppliers: result.suppliers, lineItems: result.lineItems });
+    setReport(kind, result.report);
   }
 
-  async function handleSales(file) {
-    if (file.name.toLowerCase().endsWith(".csv")) {
-      setStatus("Processing sales CSV...");
-      const rows = await parseCSV(file);
-      const byItem = {};
-      for (const row of rows) {
-        const item = String(pick(row, ["Item", "Inventory Item", "Item Name"]) || "").trim();
-        const qty = Number(pick(row, ["Qty", "QtySold", "Quantity", "Quantity Sold"])) || 0;
-        const revenue = Number(pick(row, ["TotalRevenue", "Amount", "Total", "Net Amount", "Sales Amount"])) || 0;
-        const desc = String(pick(row, ["Description", "ItemDesc", "Name", "Memo"]) || "");
-        if (item && qty > 0 && item !== "Inventory Item") {
-          if (!byItem[item]) byItem[item] = { item, description: desc, totalQtySold: 0, totalRevenue: 0 };
-          byItem[item].totalQtySold += qty;
-          byItem[item].totalRevenue += revenue;
-        }
+  // Each file: saved profile if the headers match one, else auto-detect. Files where auto-detect can't
+  // find a required column or keeps no rows are left out and the wizard opens on the first of them.
+  // The worker merges every accepted file of the dataset (all of them when appending).
+  function ingest(kind, files) {
+    const spec = DATASETS[kind];
+    setStatus(`Processing ${spec.label}...`);
+    // inside the job so a rejected file (wrong extension, unreadable workbook) ends as a status message
+    return runJob(spec.label, async (progress) => {
+      if (kind === "cost") files.forEach((f) => ensureExt(f, [".csv"]));
+      const problems = [];
+      let merged = null;
+      for (const [n, file] of files.entries()) {
+        const append = appendUploads || n > 0;
+        const book = await engine.load(kind, file, append, progress);
+        lastBooks.current[kind] = { ...(append ? lastBooks.current[kind] : {}), [book.uploadId]: book };
+        const profile = matchProfile(mappingProfiles, kind, book);
+        const mapping = profile || autoMapping(kind, book);
+        const res = await engine.parse(kind, book.uploadId, mapping, !!profile, progress);
+        if (res.merged) merged = res.merged;
+        else problems.push({ kind, uploadId: book.uploadId, fileName: book.file, ...mapping, profileName: profile?.name || "", missing: res.missing });
       }
-      setSalesMap(byItem);
-      setStatus("✅ Sales data loaded");
-      return;
-    }
-    // XLS/XLSX
-    setStatus("Processing sales XLS/XLSX...");
-    const wb = await readWorkbook(file);
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const hdr = findHeaderRow(ws, ["item","qty","quantity","amount","total","description"]);
-    const raw = XLSX.utils.sheet_to_json(ws, { range: hdr, header: 1, raw: true, defval: "" });
-    const header = (raw[0] || []).map((h) => String(h || "").trim());
-    const idx = {
-      item: findCol(header, ["Item", "Inventory Item", "Item Name", "Product"]),
-      desc: findCol(header, ["Description", "ItemDesc", "Name", "Memo"]),
-      qty: findCol(header, ["Qty", "QtySold", "Quantity", "Quantity Sold"]),
-      rev: findCol(header, ["TotalRevenue", "Amount", "Total", "Net Amount", "Sales Amount"]),
-    };
-    const byItem = {};
-    for (const r of raw.slice(1)) {
-      const item = String(r[idx.item] || "").trim();
-      const qty = Number(r[idx.qty] || 0);
-      const revenue = Number(r[idx.rev] || 0);
-      const desc = String(r[idx.desc] || "");
-      if (item && qty > 0 && item !== "Inventory Item") {
-        if (!byItem[item]) byItem[item] = { item, description: desc, totalQtySold: 0, totalRevenue: 0 };
-        byItem[item].totalQtySold += qty;
-        byItem[item].totalRevenue += revenue;
+      if (merged) applyParsed(kind, merged);
+      if (problems.length) {
+        const p = problems[0];
+        setWizard(p);
+        setStatus(`⚠️ ${spec.label}: ${problems.map((x) => x.fileName).join(", ")} — ${p.missing.length ? `no column found for ${p.missing.join(", ")}` : "no rows kept"}; check the column mapping`);
+        return;
       }
-    }
-    setSalesMap(byItem);
-    setStatus("✅ Sales data loaded");
+      const n = merged.report.files.length;
+      setStatus(`✅ ${spec.label} loaded from ${n} ${n === 1 ? "source" : "sources"}${merged.report.duplicatesRemoved ? ` · ${fmtInt(merged.report.duplicatesRemoved)} duplicate rows removed` : ""}`);
+    }).catch((e) => setStatus(`⚠️ ${e.message}`));
   }
 
-  async function handleCustomer(file) {
-    if (file.name.toLowerCase().endsWith(".csv")) {
-      setStatus("Processing customer CSV...");
-      const rows = await parseCSV(file);
-      const totals = rows
-        .map((r) => ({ customer: String(pick(r, ["Customer","Name"]) || ""), amount: Number(pick(r, ["Total","Amount","Net Amount","TotalRevenue"]) || 0) }))
-        .filter((r) => /^total - /i.test(r.customer) && r.amount > 0)
-        .map((r) => ({ customer: r.customer.replace(/^total - /i, ""), totalRevenue: r.amount }))
-        .filter((c) => !/ic-|intercompany|inter-company/i.test(c.customer))
-        .sort((a, b) => b.totalRevenue - a.totalRevenue);
-      setCustomerData(totals);
-      setStatus("✅ Customer data loaded");
-      return;
-    }
-    setStatus("Processing customer XLS/XLSX...");
-    const wb = await readWorkbook(file);
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const hdr = findHeaderRow(ws, ["customer","amount","total","net amount"]);
-    const raw = XLSX.utils.sheet_to_json(ws, { range: hdr, header: 1, raw: true, defval: "" });
-    const header = (raw[0] || []).map((h) => String(h || "").trim());
-    const iCustomer = findCol(header, ["Customer","Name"]);
-    const iAmount = findCol(header, ["Total","Amount","Net Amount","TotalRevenue"]);
-    const totals = raw.slice(1)
-      .map((r) => ({ customer: String(r[iCustomer] || ""), amount: Number(r[iAmount] || 0) }))
-      .filter((r) => /^total - /i.test(r.customer) && r.amount > 0)
-      .map((r) => ({ customer: r.customer.replace(/^total - /i, ""), totalRevenue: r.amount }))
-      .filter((c) => !/ic-|intercompany|inter-company/i.test(c.customer))
-      .sort((a, b) => b.totalRevenue - a.totalRevenue);
-    setCustomerData(totals);
-    setStatus("✅ Customer data loaded");
+  const handleCost = (files) => ingest("cost", files);
+  const handleSales = (files) => ingest("sales", files);
+  const handleCustomer = (files) => ingest("customer", files);
+  const handleSupplier = (files) => ingest("supplier", files);
+
+  function openWizard(kind) {
+    const book = Object.values(lastBooks.current[kind] || {})[0];
+    if (!book) return;
+    setWizard({ kind, uploadId: book.uploadId, fileName: book.file, ...(matchProfile(mappingProfiles, kind, book) || autoMapping(kind, book)), profileName: "" });
   }
 
-  async function handleSupplier(file) {
-    if (file.name.toLowerCase().endsWith(".csv")) {
-      setStatus("Processing supplier CSV...");
-      const rows = await parseCSV(file);
-      const supplierTotals = rows
-        .map((r) => ({ vendor: String(pick(r, ["Vendor","Supplier","Name"]) || ""), total: Number(pick(r, ["TotalCost","Amount","Total","Net Amount"]) || 0), qty: Number(pick(r, ["Quantity","Qty"]) || 0)}))
-        .filter((r) => /^total - /i.test(r.vendor) && r.total > 0)
-        .map((r) => ({ supplier: r.vendor.replace(/^total - /i, ""), totalCost: r.total, totalQuantity: r.qty || 0 }))
-        .filter((s) => s.totalCost > 0 && !/internal|intercompany/i.test(s.supplier))
-        .sort((a, b) => b.totalCost - a.totalCost);
-
-      const lineItems = rows
-        .map((r) => ({ supplier: String(pick(r, ["Vendor","Supplier","Name"]) || ""), item: String(pick(r, ["Item","Item Name","Product"]) || ""), totalCost: Number(pick(r, ["TotalCost","Amount","Total","Net Amount"]) || 0), quantity: Number(pick(r, ["Quantity","Qty"]) || 0), date: pick(r, ["Date"]) }))
-        .filter((r) => r.supplier && !/^total - /i.test(r.supplier) && r.item && r.totalCost > 0);
-
-      setSupplierData({ suppliers: supplierTotals, lineItems });
-      setStatus("✅ Supplier data loaded");
-      return;
+  async function applyWizard(w) {
+    const book = lastBooks.current[w.kind][w.uploadId];
+    let result = null;
+    await runJob(DATASETS[w.kind].label, async (progress) => { result = await engine.parse(w.kind, w.uploadId, w, true, progress); });
+    if (!result) return;
+    if (result.missing.length) return setStatus(`⚠️ Map a column for ${result.missing.join(", ")}`);
+    if (!result.merged) return setStatus("⚠️ No rows kept with this mapping");
+    applyParsed(w.kind, result.merged);
+    setWizard(null);
+    if (w.profileName.trim()) {
+      const signature = headerSignature(headersAt(book.sheets[w.sheetName], w.headerRow));
+      const existing = mappingProfiles.find((p) => p.kind === w.kind && p.name === w.profileName.trim());
+      await putProfile({ ...(existing ? { id: existing.id } : {}), name: w.profileName.trim(), kind: w.kind, sheetName: w.sheetName, sheets: w.sheets, headerRow: w.headerRow, fields: w.fields, signature, savedAt: new Date().toISOString() });
+      setMappingProfiles(await listProfiles());
     }
-    setStatus("Processing supplier XLS/XLSX...");
-    const wb = await readWorkbook(file);
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const hdr = findHeaderRow(ws, ["vendor","supplier","item","quantity","amount","total"]);
-    const raw = XLSX.utils.sheet_to_json(ws, { range: hdr, header: 1, raw: true, defval: "" });
-    const header = (raw[0] || []).map((h) => String(h || "").trim());
-    const iVendor = findCol(header, ["Vendor","Supplier","Name"]);
-    const iItem = findCol(header, ["Item","Item Name","Product"]);
-    const iTotal = findCol(header, ["TotalCost","Amount","Total","Net Amount"]);
-    const iQty = findCol(header, ["Quantity","Qty"]);
-    const suppliers = [];
-    const lines = [];
-    for (const r of raw.slice(1)) {
-      const vendor = String(r[iVendor] || "");
-      const item = String(r[iItem] || "");
-      const total = Number(r[iTotal] || 0);
-      const qty = Number(r[iQty] || 0);
-      if (/^total - /i.test(vendor) && total > 0) {
-        const name = vendor.replace(/^total - /i, "");
-        if (total > 0 && !/internal|intercompany/i.test(name)) {
-          suppliers.push({ supplier: name, totalCost: total, totalQuantity: qty || 0 });
-        }
-      } else if (vendor && item && total > 0) {
-        lines.push({ supplier: vendor, item, totalCost: total, quantity: qty || 0 });
-      }
-    }
-    suppliers.sort((a,b)=>b.totalCost - a.totalCost);
-    setSupplierData({ suppliers, lineItems: lines });
-    setStatus("✅ Supplier data loaded");
+    setStatus(`✅ ${DATASETS[w.kind].label} loaded with ${fmtInt(result.kept)} rows from ${w.fileName}`);
   }
 
-  function findCol(headerArr, candidates) {
-    const lower = headerArr.map((h) => h.toLowerCase());
-    for (const c of candidates) {
-      const i = lower.indexOf(c.toLowerCase());
-      if (i !== -1) return i;
-    }
-    // contains
-    for (let i = 0; i < lower.length; i++) {
-      if (candidates.some((c) => lower[i].includes(c.toLowerCase()))) return i;
+  async function removeProfile(id) {
+    await deleteProfile(id);
+    setMappingProfiles(await listProfiles());
+  }
+
+  // while the in-memory defaults are in effect, the first edit saves them alongside the changed rule
+  async function saveAlertRule(rule) {
+    try {
+      const defaults = alertRules.length ? [] : activeRules.filter((r) => r.id !== rule.id);
+      await Promise.all([...defaults, rule].map(putAlertRule));
+      setAlertRules(await listAlertRules());
+    } catch (e) { setStatus(`⚠️ Could not save alert rule: ${e.message}`); }
+  }
+
+  async function removeAlertRule(id) {
+    try {
+      if (alertRules.length) await deleteAlertRule(id);
+      else await Promise.all(activeRules.filter((r) => r.id !== id).map(putAlertRule));
+      const stale = Object.keys(alertStates).filter((k) => k.startsWith(`${id}|`));
+      await Promise.all(stale.map(deleteAlertState));
+      setAlertRules(await listAlertRules());
+      setAlertStates(await listAlertStates());
+    } catch (e) { setStatus(`⚠️ Could not delete alert rule: ${e.message}`); }
+  }
+
+  // status "open" clears the stored state; snoozes carry an ISO "until"
+  async function setAlertStatus(keys, status, days) {
+    try {
+      const until = days ? new Date(Date.now() + days * DAY_MS).toISOString() : undefined;
+      await Promise.all(keys.map((key) => (status === "open" ? deleteAlertState(key) : putAlertState({ key, status, until, at: new Date().toISOString() }))));
+      setAlertStates(await listAlertStates());
+    } catch (e) { setStatus(`⚠️ Could not update alerts: ${e.message}`); }
+  }
+
+  // Item rows override one SKU; rows with only a Vendor override every item bought mainly from that vendor.
+  async function handleLeadTimeOverrides(file) {
+    ensureExt(file, [".csv"]);
+    setStatus("Processing lead-time overrides...");
+    const rows = await parseCSV(file);
+    const items = {};
+    const vendors = {};
+    for (const r of rows) {
+      const item = String(pick(r, ["Item", "Item Code", "SKU"]) ?? "").split(" : ")[0].trim();
+      const vendor = String(pick(r, ["Vendor", "Supplier"]) ?? "").trim();
+      const lt = pick(r, ["Lead Time Days", "Lead Time", "LeadTime"]);
+      const ss = pick(r, ["Safety Stock Days", "Safety Days", "Safety Stock"]);
+      const pack = pick(r, ["Pack Size", "Case Pack", "Pack Qty"]);
+      const moq = pick(r, ["MOQ", "Min Order Qty", "Minimum Order Quantity"]);
+      const entry = {};
+      if (lt !== "" && lt != null && !isNaN(Number(lt))) entry.leadTimeDays = Number(lt);
+      if (ss !== "" && ss != null && !isNaN(Number(ss))) entry.safetyDays = Number(ss);
+      if (item && Number(pack) > 0) entry.packSize = Number(pack);
+      if (item && Number(moq) > 0) entry.moq = Number(moq);
+      if (!Object.keys(entry).length) continue;
+      if (item) items[item] = entry;
+      else if (vendor) vendors[vendor] = entry;
     }
-    return -1;
+    setItemOverrides(items);
+    if (Object.keys(vendors).length) setSupplierLeadTimes((prev) => ({ ...prev, ...vendors }));
+    setStatus(`✅ Lead-time overrides loaded: ${fmtInt(Object.keys(items).length)} items, ${fmtInt(Object.keys(vendors).length)} vendors`);
   }
 
-  function exportPDF() {
-    if (!rootRef.current) return;
-    const opt = { margin: 0.3, filename: `NetSuite_BI_${new Date().toISOString().slice(0,10)}.pdf`, image: { type: "jpeg", quality: 0.98 }, html2canvas: { scale: 2 }, jsPDF: { unit: "in", format: "letter", orientation: "portrait" } };
-    html2pdf().set(opt).from(rootRef.current).save();
+  async function handleRates(file) {
+    ensureExt(file, [".csv"]);
+    const rows = await parseCSV(file);
+    const rates = {};
+    for (const r of rows) {
+      const code = String(pick(r, ["Currency", "Code", "Currency Code"]) ?? "").trim().toUpperCase();
+      const rate = Number(pick(r, ["Rate", "Exchange Rate", `Rate to ${entity.baseCurrency}`]));
+      if (/^[A-Z]{3}$/.test(code) && rate > 0) rates[code] = rate;
+    }
+    setEntity((e) => ({ ...e, rates: { ...e.rates, ...rates } }));
+    setStatus(`✅ Exchange rates loaded: ${fmtInt(Object.keys(rates).length)} currencies`);
   }
 
   function downloadCSV(filename, rows) {
@@ -324,6 +475,36 @@ export default function App() {
     a.click();
   }
 
+  const liquidationPlan = useMemo(
+    () => (computed ? planLiquidation(computed, liquidation, holdingCostRate) : null),
+    [computed, liquidation, holdingCostRate],
+  );
+
+  const capital = useMemo(
+    () => (computed ? workingCapital(computed, liquidationPlan.totals) : null),
+    [computed, liquidationPlan],
+  );
+
+  const purchaseOrders = useMemo(
+    () => (computed ? suggestPurchaseOrders(computed.items, scoped.supplierData.lineItems, itemOverrides) : null),
+    [computed, scoped.supplierData.lineItems, itemOverrides],
+  );
+
+  const dataAsOf = useMemo(() => localDay(latestDataDate(scoped.supplierData.lineItems, scoped.salesLines) || new Date()), [scoped.supplierData.lineItems, scoped.salesLines]);
+  const aging = useMemo(
+    () => (computed ? inventoryAging(computed.items, scoped.supplierData.lineItems, holdingCostRate, new Date(`${agingAsOf || dataAsOf}T00:00:00`)) : null),
+    [computed, scoped.supplierData.lineItems, holdingCostRate, agingAsOf, dataAsOf],
+  );
+
+  // rules run against every recompute, so a fresh upload or a settings change re-evaluates them; aging fields join in when POs are loaded
+  const alertItems = useMemo(() => (computed ? computed.items.map((it) => ({ ...it, ...aging?.byCode[it.itemCode] })) : []), [computed, aging]);
+  const activeRules = useMemo(() => alertRulesOrDefaults(alertRules), [alertRules]);
+  const alerts = useMemo(() => evaluateAlerts(activeRules, alertItems, alertStates), [alertItems, activeRules, alertStates]);
+  const alertFieldList = useMemo(() => alertFields(alertItems), [alertItems]);
+  const openAlerts = alerts.filter((a) => a.status === "open");
+
+  const liveTrends = useMemo(() => computeTrends(scoped.salesLines, scoped.supplierData.lineItems, trendMode), [scoped.salesLines, scoped.supplierData.lineItems, trendMode]);
+
   const defaultTrends = [
     { period: "360d", SO: 74.98, PO: 54.51 },
     { period: "180d", SO: 77.97, PO: 55.32 },
@@ -339,203 +520,1903 @@ export default function App() {
     { period: "30d", NewSO: 87.07, ReSO: 124.23 },
   ];
 
+  const qualityIssues = useMemo(() => dataQualityIssues(scoped.costData, scoped.salesMap, computed), [scoped.costData, scoped.salesMap, computed]);
+  const salesNote = useMemo(() => salesSpanNote(scoped.salesLines, dataQuality.sales?.files?.length || 1), [scoped.salesLines, dataQuality.sales]);
+
+  const customerStats = useMemo(() => customerAnalytics(scoped.customerData), [scoped.customerData]);
+
+  const customerProfit = useMemo(
+    () => customerProfitability(scoped.customerLines, scoped.costData, targetMargin),
+    [scoped.customerLines, scoped.costData, targetMargin],
+  );
+
+  const supplierStats = useMemo(() => supplierAnalytics(scoped.supplierData), [scoped.supplierData]);
+
+  const reportData = useMemo(
+    () => reportTables({ computed, metrics: scoped.costData.length ? metrics : null, customerStats, supplierStats, capital, aging, alerts: computed ? alerts : null, alertRules: activeRules, currency: entity.reportingCurrency, subsidiary: entity.subsidiary }),
+    [computed, scoped.costData.length, metrics, customerStats, supplierStats, capital, aging, alerts, activeRules, entity.reportingCurrency, entity.subsidiary],
+  );
+
   const topBottom = useMemo(() => {
-    if (!costData.length) return null;
-    const sorted = [...costData].sort((a, b) => (b.totalProfit || 0) - (a.totalProfit || 0));
+    if (!scoped.costData.length) return null;
+    const sorted = [...scoped.costData].sort((a, b) => (b.totalProfit || 0) - (a.totalProfit || 0));
     return { top: sorted.slice(0, 10), bottom: sorted.slice(-10).reverse() };
-  }, [costData]);
+  }, [scoped.costData]);
 
   return (
-    <div className="min-h-screen p-4 sm:p-6" ref={rootRef}>
-      <div className="max-w-[1200px] mx-auto space-y-4">
-        <header className="text-center text-white">
-          <h1 className="text-2xl sm:text-3xl font-semibold drop-shadow">🏢 NetSuite Business Intelligence</h1>
-          <p className="opacity-90">Inventory Optimization · Sales Velocity · Customer & Supplier Intelligence · Predictive Analytics</p>
-          <p className="text-xs mt-1">📧 Contact Mitch Hunt / Bryan Badilla · Data stays in your browser</p>
-        </header>
-
-        <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-          <h2 className="font-semibold text-lg mb-2">📥 Upload NetSuite Exports</h2>
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3">
-            <FilePick label="📁 Item Cost (CSV)" accept=".csv" onFile={handleCost} color="bg-orange-500" />
-            <FilePick label="📊 Sales by Item (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleSales} color="bg-indigo-600" />
-            <FilePick label="👥 Sales by Customer Detail (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleCustomer} color="bg-purple-600" />
-            <FilePick label="🏭 PO Details (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleSupplier} color="bg-teal-600" />
-          </div>
-          <div className="flex flex-wrap gap-2 text-xs mt-3">
-            <Badge ok={!!costData.length} label="Item Cost" />
-            <Badge ok={!!Object.keys(salesMap).length} label="Sales Data" />
-            <Badge ok={!!customerData.length} label="Customer Data" />
-            <Badge ok={!!supplierData.suppliers.length} label="Supplier Data" />
-          </div>
-          <div className="text-sm text-gray-600 mt-2">{status}</div>
-        </section>
-
-        <section className="grid grid-cols-2 sm:grid-cols-4 gap-3">
-          <MetricCard label="Average Margin" value={fmtPct(metrics.avgMargin, 2)} />
-          <MetricCard label="Total Profit" value={fmtCurrency(metrics.totalProfit)} />
-          <MetricCard label="Total Revenue" value={fmtCurrency(metrics.totalRevenue)} />
-          <MetricCard label="Items Losing Money" value={fmtInt(metrics.losingItems)} />
-        </section>
-
-        <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-          <h3 className="font-semibold mb-2">📈 SO & PO Trends Over Time</h3>
-          <div className="h-72">
-            <ResponsiveContainer>
-              <LineChart data={defaultTrends} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="period" />
-                <YAxis tickFormatter={(v)=>`$${v}`}/>
-                <Tooltip formatter={(v)=>fmtCurrency(v)} />
-                <Legend />
-                <Line type="monotone" dataKey="SO" stroke="#2563eb" strokeWidth={3} dot={false} />
-                <Line type="monotone" dataKey="PO" stroke="#dc2626" strokeWidth={3} dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        </section>
-
-        <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-          <h3 className="font-semibold mb-2">🆚 New vs ReCert — Sales Orders</h3>
-          <div className="h-72">
-            <ResponsiveContainer>
-              <BarChart data={defaultCompare} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="period" />
-                <YAxis tickFormatter={(v)=>`$${v}`}/>
-                <Tooltip formatter={(v)=>fmtCurrency(v)} />
-                <Legend />
-                <Bar dataKey="NewSO" fill="#16a34a" />
-                <Bar dataKey="ReSO" fill="#f59e0b" />
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
-        </section>
-
-        {computed && (
-          <section className="grid md:grid-cols-2 gap-3">
-            <div className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-              <h3 className="font-semibold mb-2">🎯 Top 10 Profit Generators</h3>
-              <div className="space-y-2">
-                {computed.items
-                  .slice() // clone
-                  .sort((a,b)=> (b.totalProfit||0)-(a.totalProfit||0))
-                  .slice(0,10)
-                  .map((i) => (
-                    <Insight key={`top-${i.itemCode}`} color="border-emerald-600">
-                      <b>{i.itemCode}</b>: {fmtCurrency(Math.abs(i.totalProfit))} profit ({fmtPct(i.profitMargin)}) · {fmtInt(i.Quantity)} qty
-                    </Insight>
-                  ))}
+    <MoneyContext.Provider value={money}>
+      <div className="min-h-screen p-4 sm:p-6">
+        <div className="max-w-[1200px] mx-auto space-y-4">
+          <header className="text-center text-white">
+            <h1 className="text-2xl sm:text-3xl font-semibold drop-shadow">🏢 NetSuite Business Intelligence</h1>
+            <p className="opacity-90">Inventory Optimization · Sales Velocity · Customer & Supplier Intelligence · Predictive Analytics</p>
+            <p className="text-xs mt-1">📧 Contact Mitch Hunt / Bryan Badilla · Data stays in your browser</p>
+          </header>
+
+          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+            <h2 className="font-semibold text-lg mb-2">📥 Upload NetSuite Exports</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3">
+              <FilePick label="📁 Item Cost (CSV)" accept=".csv" onFile={handleCost} color="bg-orange-500" multiple />
+              <FilePick label="📊 Sales by Item (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleSales} color="bg-indigo-600" multiple />
+              <FilePick label="👥 Sales by Customer Detail (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleCustomer} color="bg-purple-600" multiple />
+              <FilePick label="🏭 PO Details (CSV/XLS/XLSX)" accept=".csv,.xls,.xlsx" onFile={handleSupplier} color="bg-teal-600" multiple />
+            </div>
+            <label className="flex items-center gap-2 text-xs text-gray-600 mt-2">
+              <input type="checkbox" checked={appendUploads} onChange={(e) => setAppendUploads(e.target.checked)} />
+              Add uploads to the files already loaded (e.g. one export per month or subsidiary) instead of replacing them
+            </label>
+            <div className="flex flex-wrap gap-2 text-xs mt-3">
+              <Badge ok={!!costData.length} label="Item Cost" />
+              <Badge ok={!!Object.keys(salesMap).length} label="Sales Data" />
+              <Badge ok={!!customerData.length} label="Customer Data" />
+              <Badge ok={!!supplierData.suppliers.length} label="Supplier Data" />
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs mt-2">
+              <span className="text-gray-500">Column mapping:</span>
+              {Object.entries(DATASETS).map(([kind, spec]) => (
+                <button key={`map-${kind}`} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40" disabled={!lastBooks.current[kind]} onClick={() => openWizard(kind)}>🧭 {spec.label}</button>
+              ))}
+              <span className="text-gray-400">· {fmtInt(mappingProfiles.length)} saved profiles</span>
+            </div>
+            <div className="text-sm text-gray-600 mt-2">{status}</div>
+            {progress && (
+              <div className="flex items-center gap-2 mt-2 text-xs">
+                <div className="flex-1">
+                  <div className="text-gray-600 mb-1">{progress.label}{progress.total ? ` · ${fmtPct((100 * progress.done) / progress.total, 0)}` : "…"}</div>
+                  <div className="h-2 bg-gray-200 rounded">
+                    <div className="h-2 bg-blue-600 rounded transition-all" style={{ width: progress.total ? `${(100 * progress.done) / progress.total}%` : "15%" }} />
+                  </div>
+                </div>
+                <button className="px-2 py-1 rounded bg-rose-600 text-white hover:bg-rose-700" onClick={cancelJob}>Cancel</button>
+              </div>
+            )}
+          </section>
+
+          {(Object.keys(dataQuality).length > 0 || costData.length > 0) && (
+            <DataQualityReport reports={dataQuality} issues={qualityIssues} salesNote={salesNote} onExport={downloadCSV} />
+          )}
+
+          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+            <h3 className="font-semibold mb-2">💾 Saved Snapshots</h3>
+            <p className="text-xs text-gray-500 mb-2">The current datasets and settings are saved in this browser automatically. Capture a named snapshot to keep a period close side by side with later uploads.</p>
+            <div className="flex flex-wrap gap-2 mb-3">
+              <input className="border rounded-lg px-3 py-2 text-sm flex-1 min-w-[200px]" placeholder='e.g. "Oct close"' value={snapshotName} onChange={(e) => setSnapshotName(e.target.value)} />
+              <button className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" disabled={!costData.length && !Object.keys(salesMap).length && !customerData.length && !supplierData.lineItems.length} onClick={() => saveSnapshot().catch((e) => setStatus(`⚠️ ${e.message}`))}>💾 Save Snapshot</button>
+              <button className="px-3 py-2 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300" onClick={() => clearAll().catch((e) => setStatus(`⚠️ ${e.message}`))}>🧹 Clear Session</button>
+            </div>
+            <div className="space-y-2">
+              {snapshots.map((sn) => (
+                <div key={sn.id} className="flex flex-wrap items-center justify-between gap-2 border-l-4 border-blue-500 bg-gray-50 rounded-md px-3 py-2 text-sm">
+                  <div>
+                    <b>{sn.name}</b> · captured {new Date(sn.capturedAt).toLocaleString()}
+                    <span className="text-xs text-gray-500"> · {fmtInt(sn.counts?.items)} items · {fmtInt(sn.counts?.sales)} sales items · {fmtInt(sn.counts?.customers)} customers · {fmtInt(sn.counts?.poLines)} PO lines</span>
+                  </div>
+                  <div className="flex gap-2">
+                    <button className="px-2 py-1 rounded bg-blue-600 text-white text-xs hover:bg-blue-700" onClick={() => loadSnapshot(sn.id).catch((e) => setStatus(`⚠️ ${e.message}`))}>Load</button>
+                    <button className="px-2 py-1 rounded bg-rose-600 text-white text-xs hover:bg-rose-700" onClick={() => removeSnapshot(sn.id, sn.name).catch((e) => setStatus(`⚠️ ${e.message}`))}>Delete</button>
+                  </div>
+                </div>
+              ))}
+              {!snapshots.length && <div className="text-sm text-gray-500">No snapshots saved yet.</div>}
+            </div>
+          </section>
+
+          {snapshots.length > 0 && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <h3 className="font-semibold mb-2">🔁 Compare Snapshots</h3>
+              <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                <select className="border rounded-lg px-2 py-2" value={compareA} onChange={(e) => setCompareA(e.target.value)}>
+                  <option value="">Before…</option>
+                  <option value="current">Current session</option>
+                  {snapshots.map((sn) => <option key={`a-${sn.id}`} value={sn.id}>{sn.name}</option>)}
+                </select>
+                <span>→</span>
+                <select className="border rounded-lg px-2 py-2" value={compareB} onChange={(e) => setCompareB(e.target.value)}>
+                  <option value="current">Current session</option>
+                  {snapshots.map((sn) => <option key={`b-${sn.id}`} value={sn.id}>{sn.name}</option>)}
+                </select>
+                <button className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" disabled={!compareA || compareA === compareB} onClick={() => runComparison().catch((e) => setStatus(`⚠️ ${e.message}`))}>Compare</button>
               </div>
+              {comparison && (
+                <div className="space-y-3">
+                  <div className="bg-gradient-to-r from-slate-700 to-slate-900 text-white rounded-xl p-4">
+                    <h4 className="font-semibold">{comparison.before} → {comparison.after}</h4>
+                    <p>Slow movers value: {fmtCurrency(comparison.workingCapital.before.slowValue)} → {fmtCurrency(comparison.workingCapital.after.slowValue)} ({comparison.workingCapital.slowDelta >= 0 ? "+" : "−"}{fmtCurrency(Math.abs(comparison.workingCapital.slowDelta))})</p>
+                    <p>Dead stock value: {fmtCurrency(comparison.workingCapital.before.deadValue)} → {fmtCurrency(comparison.workingCapital.after.deadValue)} ({comparison.workingCapital.deadDelta >= 0 ? "+" : "−"}{fmtCurrency(Math.abs(comparison.workingCapital.deadDelta))})</p>
+                    <p>Planned cash recovery: {fmtCurrency(comparison.workingCapital.before.target)} → {fmtCurrency(comparison.workingCapital.after.target)}</p>
+                  </div>
+                  <div className="grid md:grid-cols-2 gap-3">
+                    <DiffList title="🆕 Became Slow Movers" rows={comparison.newSlow} color="border-orange-500" filename="became_slow.csv" onExport={downloadCSV} onOpenItem={setSelectedItem} />
+                    <DiffList title="✅ Left Slow Movers" rows={comparison.clearedSlow} color="border-emerald-600" filename="left_slow.csv" onExport={downloadCSV} onOpenItem={setSelectedItem} />
+                    <DiffList title="💀 Became Dead Stock" rows={comparison.newDead} color="border-red-600" filename="became_dead.csv" onExport={downloadCSV} onOpenItem={setSelectedItem} />
+                    <DiffList title="✅ Left Dead Stock" rows={comparison.clearedDead} color="border-emerald-600" filename="left_dead.csv" onExport={downloadCSV} onOpenItem={setSelectedItem} />
+                  </div>
+                  <div>
+                    <h4 className="font-semibold mb-2">📉 Margin Changes by Item</h4>
+                    <div className="space-y-2">
+                      {comparison.marginChanges.slice(0, 15).map((m) => (
+                        <Insight key={`mc-${m.itemCode}`} color={m.marginDelta >= 0 ? "border-emerald-600" : "border-red-600"}>
+                          <ItemLink code={m.itemCode} onOpen={setSelectedItem} />: {fmtPct(m.marginBefore)} → {fmtPct(m.marginAfter)} ({m.marginDelta >= 0 ? "+" : ""}{m.marginDelta.toFixed(1)} pts) · cost {fmtCurrency(m.costBefore)} → {fmtCurrency(m.costAfter)} · price {fmtCurrency(m.priceBefore)} → {fmtCurrency(m.priceAfter)}
+                        </Insight>
+                      ))}
+                      {!comparison.marginChanges.length && <div className="text-sm text-gray-500">No margin changes.</div>}
+                    </div>
+                    <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("margin_changes.csv", comparison.marginChanges)}>⬇️ Export CSV</button></div>
+                  </div>
+                </div>
+              )}
+            </section>
+          )}
+
+          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+            <h3 className="font-semibold mb-2">⚙️ Settings & Assumptions</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+              <NumField label={`Slow mover min. value (${symbol})`} value={slowCost} onChange={setSlowCost} />
+              <NumField label={`Dead stock min. value (${symbol})`} value={deadCost} onChange={setDeadCost} />
+              <NumField label="Slow mover days of inventory" value={slowDays} onChange={setSlowDays} />
+              <NumField label="Target margin (%)" value={Math.round(targetMargin * 1000) / 10} onChange={(v) => setTargetMargin(Math.min(v, 99) / 100)} />
+              <NumField label={`Ordering cost per PO (${symbol})`} value={orderingCost} onChange={setOrderingCost} />
+              <NumField label="Holding cost rate (%/yr)" value={Math.round(holdingCostRate * 1000) / 10} onChange={(v) => setHoldingCostRate(v / 100)} />
+            </div>
+            <h4 className="font-semibold mt-4 mb-2">⏱️ Lead Time & Safety Stock by Item Type</h4>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+              {Object.keys(DEFAULT_LEAD_TIMES).map((type) => (
+                <React.Fragment key={`lt-${type}`}>
+                  <NumField label={`${type} lead time (days)`} value={leadTimes[type].leadTimeDays} onChange={(v) => setLeadTimes((p) => ({ ...p, [type]: { ...p[type], leadTimeDays: v } }))} />
+                  <NumField label={`${type} safety stock (days)`} value={leadTimes[type].safetyDays} onChange={(v) => setLeadTimes((p) => ({ ...p, [type]: { ...p[type], safetyDays: v } }))} />
+                </React.Fragment>
+              ))}
             </div>
-            <div className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-              <h3 className="font-semibold mb-2">⚠️ Top 10 Loss Makers</h3>
-              <div className="space-y-2">
-                {computed.items
-                  .slice()
-                  .sort((a,b)=> (a.totalProfit||0)-(b.totalProfit||0))
-                  .slice(0,10)
-                  .map((i) => (
-                    <Insight key={`bot-${i.itemCode}`} color="border-red-600">
-                      <b>{i.itemCode}</b>: {fmtCurrency(Math.abs(i.totalProfit))} {i.totalProfit < 0 ? "loss" : "profit"} ({fmtPct(i.profitMargin)}) · {fmtInt(i.Quantity)} qty
-                    </Insight>
+            {supplierStats && (
+              <details className="mt-4">
+                <summary className="font-semibold cursor-pointer">🏭 Lead Time by Supplier ({fmtInt(Object.keys(supplierLeadTimes).length)} set)</summary>
+                <p className="text-xs text-gray-500 my-2">Applies to items whose largest PO spend is with that supplier. Leave blank to use the item-type default.</p>
+                <div className="max-h-64 overflow-y-auto space-y-1 text-sm">
+                  {supplierStats.ranked.map((sup) => (
+                    <div key={`slt-${sup.supplier}`} className="grid grid-cols-[1fr_90px_90px] gap-2 items-center">
+                      <span className="truncate">{sup.supplier}</span>
+                      <input type="number" min="0" placeholder="LT days" className="border rounded px-2 py-1" value={supplierLeadTimes[sup.supplier]?.leadTimeDays ?? ""} onChange={(e) => setSupplierLeadTimes((p) => ({ ...p, [sup.supplier]: { ...p[sup.supplier], leadTimeDays: e.target.value === "" ? undefined : Number(e.target.value) } }))} />
+                      <input type="number" min="0" placeholder="SS days" className="border rounded px-2 py-1" value={supplierLeadTimes[sup.supplier]?.safetyDays ?? ""} onChange={(e) => setSupplierLeadTimes((p) => ({ ...p, [sup.supplier]: { ...p[sup.supplier], safetyDays: e.target.value === "" ? undefined : Number(e.target.value) } }))} />
+                    </div>
                   ))}
+                </div>
+              </details>
+            )}
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              <div className="w-64"><FilePick label="📄 Lead-Time Override CSV" accept=".csv" onFile={(f) => handleLeadTimeOverrides(f).catch((e) => setStatus(`⚠️ ${e.message}`))} color="bg-slate-600" /></div>
+              <span className="text-xs text-gray-500">Columns: Item (or Vendor), Lead Time Days, Safety Stock Days, Pack Size, MOQ · {fmtInt(Object.keys(itemOverrides).length)} item overrides active</span>
+              {Object.keys(itemOverrides).length > 0 && <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={() => setItemOverrides({})}>Clear item overrides</button>}
+              <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={() => applySettings({ ...DEFAULT_SETTINGS, leadTimes: DEFAULT_LEAD_TIMES, supplierLeadTimes: {}, itemOverrides: {}, safetyMethod: "days", serviceLevels: DEFAULT_SERVICE_LEVELS })}>Reset to defaults</button>
+            </div>
+          </section>
+
+          <EntitySettings entity={entity} scoped={scoped} onChange={setEntity} onRatesFile={(f) => handleRates(f).catch((e) => setStatus(`⚠️ ${e.message}`))} />
+
+          <section className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <MetricCard label="Average Margin" value={fmtPct(metrics.avgMargin, 2)} />
+            <MetricCard label="Total Profit" value={fmtCurrency(metrics.totalProfit)} />
+            <MetricCard label="Total Revenue" value={fmtCurrency(metrics.totalRevenue)} />
+            <MetricCard label="Items Losing Money" value={fmtInt(metrics.losingItems)} />
+          </section>
+
+          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="font-semibold">📈 SO & PO Trends Over Time</h3>
+              <div className="flex gap-1 text-xs">
+                <button className={`px-2 py-1 rounded ${trendMode === "rolling" ? "bg-blue-600 text-white" : "bg-gray-100"}`} onClick={() => setTrendMode("rolling")}>Rolling windows</button>
+                <button className={`px-2 py-1 rounded ${trendMode === "monthly" ? "bg-blue-600 text-white" : "bg-gray-100"}`} onClick={() => setTrendMode("monthly")}>Calendar months</button>
               </div>
             </div>
+            <p className="text-xs text-gray-500 mb-2">{liveTrends ? "Average unit value (amount ÷ qty) of dated sales lines and PO lines in each period." : "Sample figures — upload a dated Sales by Item export and/or PO Details to chart your own data."}</p>
+            <div className="h-72">
+              <ResponsiveContainer>
+                <LineChart data={liveTrends ? liveTrends.trends : defaultTrends} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="period" />
+                  <YAxis tickFormatter={fmtAxis}/>
+                  <Tooltip formatter={(v)=>fmtCurrency(v)} />
+                  <Legend />
+                  <Line type="monotone" dataKey="SO" stroke="#2563eb" strokeWidth={3} dot={false} connectNulls />
+                  <Line type="monotone" dataKey="PO" stroke="#dc2626" strokeWidth={3} dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
           </section>
-        )}
 
-        {computed && (
           <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-            <div className="bg-gradient-to-r from-red-500 to-orange-500 text-white rounded-xl p-4 mb-3">
-              <h3 className="font-semibold text-lg">💰 Working Capital Optimization</h3>
-              <p>Slow movers value: {fmtCurrency(sum(computed.slowMovers.map((i)=>i.totalCost)))} · Dead stock value: {fmtCurrency(sum(computed.deadStock.map((i)=>i.totalCost)))}</p>
-              <p>Conservative target (25%): {fmtCurrency(0.25 * (sum(computed.slowMovers.map((i)=>i.totalCost)) + sum(computed.deadStock.map((i)=>i.totalCost))))}</p>
+            <h3 className="font-semibold mb-2">🆚 New vs ReCert — Sales Orders</h3>
+            <div className="h-72">
+              <ResponsiveContainer>
+                <BarChart data={liveTrends ? liveTrends.compare : defaultCompare} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="period" />
+                  <YAxis tickFormatter={fmtAxis}/>
+                  <Tooltip formatter={(v)=>fmtCurrency(v)} />
+                  <Legend />
+                  <Bar dataKey="NewSO" fill="#16a34a" />
+                  <Bar dataKey="ReSO" fill="#f59e0b" />
+                </BarChart>
+              </ResponsiveContainer>
             </div>
+          </section>
 
-            <div className="grid md:grid-cols-2 gap-3">
-              <div>
-                <h4 className="font-semibold mb-2">🚨 Top High-Dollar Slow Movers</h4>
+          {computed && (
+            <section className="grid md:grid-cols-2 gap-3">
+              <div className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+                <h3 className="font-semibold mb-2">🎯 Top 10 Profit Generators</h3>
                 <div className="space-y-2">
-                  {computed.slowMovers.slice(0, 15).map((it) => (
-                    <Insight key={`slow-${it.itemCode}`} color="border-orange-500">
-                      <b>{it.itemCode}</b>: {fmtCurrency(it.totalCost)} · {fmtInt(it.Quantity)} qty @ {fmtCurrency(it.unitCost)} each · {isFinite(it.daysOfInventory) ? `${Math.round(it.daysOfInventory)} days` : "NO SALES"} · {fmtPct(it.profitMargin)} margin
-                    </Insight>
-                  ))}
+                  {computed.items
+                    .slice() // clone
+                    .sort((a,b)=> (b.totalProfit||0)-(a.totalProfit||0))
+                    .slice(0,10)
+                    .map((i) => (
+                      <Insight key={`top-${i.itemCode}`} color="border-emerald-600">
+                        <ItemLink code={i.itemCode} onOpen={setSelectedItem} />: {fmtCurrency(Math.abs(i.totalProfit))} profit ({fmtPct(i.profitMargin)}) · {fmtInt(i.Quantity)} qty
+                      </Insight>
+                    ))}
                 </div>
-                <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("slow_movers.csv", computed.slowMovers)}>⬇️ Export CSV</button></div>
               </div>
-              <div>
-                <h4 className="font-semibold mb-2">💀 Dead Stock (No Sales)</h4>
+              <div className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+                <h3 className="font-semibold mb-2">⚠️ Top 10 Loss Makers</h3>
                 <div className="space-y-2">
-                  {computed.deadStock.slice(0, 15).map((it) => (
-                    <Insight key={`dead-${it.itemCode}`} color="border-red-600">
-                      <b>{it.itemCode}</b>: {fmtCurrency(it.totalCost)} · {fmtInt(it.Quantity)} qty @ {fmtCurrency(it.unitCost)} each · Zero sales in 12 months
-                    </Insight>
+                  {computed.items
+                    .slice()
+                    .sort((a,b)=> (a.totalProfit||0)-(b.totalProfit||0))
+                    .slice(0,10)
+                    .map((i) => (
+                      <Insight key={`bot-${i.itemCode}`} color="border-red-600">
+                        <ItemLink code={i.itemCode} onOpen={setSelectedItem} />: {fmtCurrency(Math.abs(i.totalProfit))} {i.totalProfit < 0 ? "loss" : "profit"} ({fmtPct(i.profitMargin)}) · {fmtInt(i.Quantity)} qty
+                      </Insight>
+                    ))}
+                </div>
+              </div>
+            </section>
+          )}
+
+          {computed && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <div className="bg-gradient-to-r from-red-500 to-orange-500 text-white rounded-xl p-4 mb-3">
+                <h3 className="font-semibold text-lg">💰 Working Capital Optimization</h3>
+                <p>Slow movers value: {fmtCurrency(capital.slowValue)} · Dead stock value: {fmtCurrency(capital.deadValue)}</p>
+                <p>Planned cash recovery: {fmtCurrency(liquidationPlan.totals.cashRecovered)} ({fmtPct(liquidationPlan.totals.recoveryPct)} of tied-up) · Holding cost saved: {fmtCurrency(liquidationPlan.totals.holdingSaved)}/yr</p>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-3">
+                <div>
+                  <h4 className="font-semibold mb-2">🚨 Top High-Dollar Slow Movers</h4>
+                  <div className="space-y-2">
+                    {computed.slowMovers.slice(0, 15).map((it) => (
+                      <Insight key={`slow-${it.itemCode}`} color="border-orange-500">
+                        <ItemLink code={it.itemCode} onOpen={setSelectedItem} />: {fmtCurrency(it.totalCost)} · {fmtInt(it.Quantity)} qty @ {fmtCurrency(it.unitCost)} each · {isFinite(it.daysOfInventory) ? `${Math.round(it.daysOfInventory)} days` : "NO SALES"} · {fmtPct(it.profitMargin)} margin{aging?.byCode[it.itemCode] && ` · on hand ~${fmtInt(Math.round(aging.byCode[it.itemCode].avgAgeDays))} days`}
+                      </Insight>
+                    ))}
+                  </div>
+                  <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("slow_movers.csv", computed.slowMovers)}>⬇️ Export CSV</button></div>
+                </div>
+                <div>
+                  <h4 className="font-semibold mb-2">💀 Dead Stock (No Sales)</h4>
+                  <div className="space-y-2">
+                    {computed.deadStock.slice(0, 15).map((it) => (
+                      <Insight key={`dead-${it.itemCode}`} color="border-red-600">
+                        <ItemLink code={it.itemCode} onOpen={setSelectedItem} />: {fmtCurrency(it.totalCost)} · {fmtInt(it.Quantity)} qty @ {fmtCurrency(it.unitCost)} each · Zero sales in 12 months
+                      </Insight>
+                    ))}
+                  </div>
+                  <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("dead_stock.csv", computed.deadStock)}>⬇️ Export CSV</button></div>
+                </div>
+              </div>
+              <LiquidationPlanner plan={liquidation} result={liquidationPlan} holdingCostRate={holdingCostRate} onChange={setLiquidation} onExport={downloadCSV} onOpenItem={setSelectedItem} />
+            </section>
+          )}
+
+          {computed && <InventoryAging aging={aging} asOf={agingAsOf || dataAsOf} dataAsOf={agingAsOf ? dataAsOf : null} onAsOf={setAgingAsOf} holdingCostRate={holdingCostRate} onExport={downloadCSV} onOpenItem={setSelectedItem} />}
+
+          {computed && (
+            <AbcXyzMatrix
+              items={computed.items}
+              serviceLevels={serviceLevels}
+              safetyMethod={safetyMethod}
+              onServiceLevels={setServiceLevels}
+              onSafetyMethod={setSafetyMethod}
+              onExport={downloadCSV}
+            />
+          )}
+
+          {computed && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <div className="bg-gradient-to-r from-violet-600 to-fuchsia-600 text-white rounded-xl p-4 mb-3">
+                <h3 className="font-semibold text-lg">🔮 Predictive Analytics</h3>
+                <p>{openAlerts.filter((a) => a.severity === "critical").length} critical · {openAlerts.filter((a) => a.severity === "warning").length} warning alerts open from your alert rules</p>
+                <p>{computed.priceOpps.length} price optimization opportunities identified</p>
+              </div>
+              <div className="grid md:grid-cols-2 gap-3">
+                <div>
+                  <h4 className="font-semibold mb-2">🚨 Open Alerts</h4>
+                  <div className="space-y-2">
+                    {openAlerts.filter((a) => a.severity !== "info").slice(0,10).map((a)=>(
+                      <Insight key={a.key} color={SEVERITY_STYLES[a.severity].border}>
+                        <b>{a.severity.toUpperCase()}:</b> <ItemLink code={a.itemCode} onOpen={setSelectedItem} /> · {a.rule} · {alertValues(a.values)}
+                      </Insight>
+                    ))}
+                    {!openAlerts.some((a) => a.severity !== "info") && (
+                      <Insight color="border-emerald-600"><b>✅ No open critical or warning alerts.</b> Manage rules and snoozed items in the Alerts inbox below.</Insight>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <h4 className="font-semibold mb-2">💰 Price Optimization</h4>
+                  <div className="space-y-2">
+                    {computed.priceOpps.slice(0,8).map((it)=>(
+                      <Insight key={`price-${it.itemCode}`} color="border-purple-600">
+                        <ItemLink code={it.itemCode} onOpen={setSelectedItem} />: +{it.priceDelta.toFixed(2)} price headroom · Annual impact: {fmtCurrency(it.annualImpact)}
+                      </Insight>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">Impact assumes volume holds at the new price; see the Pricing Workbench for elasticity-adjusted projections.</p>
+                  <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("price_opportunities.csv", computed.priceOpps)}>⬇️ Export Price Opps CSV</button></div>
+                </div>
+              </div>
+            </section>
+          )}
+
+          {computed && (
+            <AlertsInbox
+              rules={activeRules}
+              usingDefaults={!alertRules.length}
+              alerts={alerts}
+              fields={alertFieldList}
+              onSaveRule={saveAlertRule}
+              onDeleteRule={removeAlertRule}
+              onSetStatus={setAlertStatus}
+              onExport={downloadCSV}
+              onOpenItem={setSelectedItem}
+            />
+          )}
+
+          {computed && <PricingWorkbench items={computed.items} pricing={pricing} targetMargin={targetMargin} onChange={setPricing} onExport={downloadCSV} onOpenItem={setSelectedItem} />}
+
+          {purchaseOrders && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <h3 className="font-semibold mb-1">🧾 Suggested Purchase Orders</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                {fmtInt(purchaseOrders.lineCount)} items at or below reorder point · {fmtInt(purchaseOrders.orders.length)} vendors · est. {fmtCurrency(purchaseOrders.totalCost)}.
+                Quantity is EOQ raised to MOQ and rounded up to the pack size; vendor is the lowest recent PO unit cost.
+              </p>
+              {purchaseOrders.orders.length ? (
+                <div className="space-y-3">
+                  {purchaseOrders.orders.map((o) => (
+                    <div key={o.vendor} className="border rounded-lg overflow-x-auto">
+                      <div className="flex justify-between items-center bg-gray-50 px-3 py-2 text-sm">
+                        <b>{o.vendor}</b>
+                        <span>{fmtInt(o.lines.length)} lines · {fmtInt(o.totalQty)} units · <b>{fmtCurrency(o.totalCost)}</b></span>
+                      </div>
+                      <table className="w-full text-xs">
+                        <thead><tr className="text-left text-gray-500">
+                          <th className="px-3 py-1">Item</th><th className="px-3 py-1 text-right">On hand</th><th className="px-3 py-1 text-right">Reorder pt</th>
+                          <th className="px-3 py-1 text-right">EOQ</th><th className="px-3 py-1 text-right">Order qty</th><th className="px-3 py-1 text-right">Unit cost</th>
+                          <th className="px-3 py-1 text-right">Est. cost</th><th className="px-3 py-1 text-right">Stockout</th>
+                        </tr></thead>
+                        <tbody>
+                          {o.lines.map((l) => (
+                            <tr key={l.itemCode} className="border-t">
+                              <td className="px-3 py-1"><ItemLink code={l.itemCode} onOpen={setSelectedItem} /></td>
+                              <td className="px-3 py-1 text-right">{fmtInt(l.onHand)}</td>
+                              <td className="px-3 py-1 text-right">{fmtInt(l.reorderPoint)}</td>
+                              <td className="px-3 py-1 text-right">{fmtInt(l.eoq)}</td>
+                              <td className="px-3 py-1 text-right font-semibold" title={[l.packSize && `pack ${l.packSize}`, l.moq && `MOQ ${l.moq}`].filter(Boolean).join(" · ")}>{fmtInt(l.quantity)}</td>
+                              <td className="px-3 py-1 text-right" title={l.costSource}>{fmtCurrency(l.unitCost)}</td>
+                              <td className="px-3 py-1 text-right">{fmtCurrency(l.estCost)}</td>
+                              <td className="px-3 py-1 text-right">{l.daysUntilStockout} d</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
                   ))}
                 </div>
-                <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("dead_stock.csv", computed.deadStock)}>⬇️ Export CSV</button></div>
+              ) : <Insight color="border-emerald-600"><b>✅ Nothing to order.</b> Every selling item is above its reorder point.</Insight>}
+              <div className="mt-2 flex flex-wrap gap-2">
+                <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV(`netsuite_po_import_${localDay(new Date())}.csv`, netsuitePORows(purchaseOrders.orders))}>⬇️ Export NetSuite PO Import CSV</button>
+                <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("suggested_po_lines.csv", purchaseOrders.orders.flatMap((o) => o.lines))}>⬇️ Export Detail CSV</button>
               </div>
+              {purchaseOrders.orders.some((o) => o.vendor === "Unassigned") && (
+                <p className="text-xs text-gray-500 mt-1">Items with no PO history are listed under "Unassigned" and left out of the NetSuite import.</p>
+              )}
+            </section>
+          )}
+
+          {computed && <ItemExplorer items={computed.items} onExport={downloadCSV} onOpenItem={setSelectedItem} />}
+
+          {customerStats && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl p-4 mb-3">
+                <h3 className="font-semibold text-lg">👥 Customer Intelligence</h3>
+                <p>{fmtInt(customerStats.ranked.length)} customers · {fmtCurrency(customerStats.total)} revenue · {fmtInt(customerStats.counts.A)} customers make up 80% of revenue</p>
+                <p>Concentration risk: <b>{customerStats.risk}</b> · Top customer {fmtPct(customerStats.top1)} · Top 5 {fmtPct(customerStats.top5)} · HHI {fmtInt(customerStats.hhi)}</p>
+              </div>
+              <div className="grid md:grid-cols-2 gap-3">
+                <div>
+                  <h4 className="font-semibold mb-2">📊 Top 15 Customers by Revenue</h4>
+                  <div className="h-80">
+                    <ResponsiveContainer>
+                      <BarChart data={customerStats.ranked.slice(0, 15)} layout="vertical" margin={{ top: 0, right: 20, left: 20, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" tickFormatter={fmtAxis} />
+                        <YAxis type="category" dataKey="customer" width={120} tick={{ fontSize: 10 }} />
+                        <Tooltip formatter={(v)=>fmtCurrency(v)} />
+                        <Bar dataKey="totalRevenue" name="Revenue" fill="#7c3aed" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+                <div>
+                  <h4 className="font-semibold mb-2">🏷️ Pareto / ABC Ranking</h4>
+                  <div className="flex gap-2 text-xs mb-2">
+                    <span className="px-2 py-1 rounded bg-emerald-100 text-emerald-700 font-semibold">A: {fmtInt(customerStats.counts.A)}</span>
+                    <span className="px-2 py-1 rounded bg-amber-100 text-amber-700 font-semibold">B: {fmtInt(customerStats.counts.B)}</span>
+                    <span className="px-2 py-1 rounded bg-gray-100 text-gray-700 font-semibold">C: {fmtInt(customerStats.counts.C)}</span>
+                  </div>
+                  <div className="space-y-2">
+                    {customerStats.ranked.slice(0, 10).map((c) => (
+                      <Insight key={`cust-${c.customer}`} color={c.abcClass === "A" ? "border-emerald-600" : c.abcClass === "B" ? "border-amber-500" : "border-gray-400"}>
+                        <b>#{c.rank} {c.customer}</b> ({c.abcClass}): {fmtCurrency(c.totalRevenue)} · {fmtPct(c.sharePct)} share · {fmtPct(c.cumulativePct)} cumulative
+                      </Insight>
+                    ))}
+                  </div>
+                  <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("customer_ranking.csv", customerStats.ranked)}>⬇️ Export CSV</button></div>
+                </div>
+              </div>
+              {customerProfit ? (
+                <CustomerProfitability stats={customerProfit} targetMargin={targetMargin} onExport={downloadCSV} onOpenItem={setSelectedItem} />
+              ) : (
+                <p className="text-xs text-gray-500 mt-3">Customer profitability needs the customer detail lines (Item, Qty, Amount) and the item cost export.</p>
+              )}
+            </section>
+          )}
+
+          {supplierStats && (
+            <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+              <div className="bg-gradient-to-r from-teal-600 to-cyan-600 text-white rounded-xl p-4 mb-3">
+                <h3 className="font-semibold text-lg">🏭 Supplier Spend Analytics</h3>
+                <p>{fmtInt(supplierStats.ranked.length)} suppliers · {fmtCurrency(supplierStats.totalSpend)} total spend · Top supplier {fmtPct(supplierStats.ranked[0].sharePct)} of spend</p>
+                <p>{fmtInt(supplierStats.multiVendor.length)} items bought from several vendors at different prices · Consolidation savings: {fmtCurrency(supplierStats.totalSavings)}</p>
+              </div>
+              <div className="grid md:grid-cols-2 gap-3">
+                <div>
+                  <h4 className="font-semibold mb-2">💵 Spend Ranking</h4>
+                  <div className="space-y-2">
+                    {supplierStats.ranked.slice(0, 10).map((s) => (
+                      <Insight key={`sup-${s.supplier}`} color="border-teal-600">
+                        <b>#{s.rank} {s.supplier}</b>: {fmtCurrency(s.totalCost)} · {fmtPct(s.sharePct)} of spend · {fmtPct(s.cumulativePct)} cumulative
+                      </Insight>
+                    ))}
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("supplier_spend.csv", supplierStats.ranked)}>⬇️ Export Spend CSV</button>
+                    <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("supplier_item_costs.csv", supplierStats.itemCosts)}>⬇️ Export Unit Costs CSV</button>
+                  </div>
+                </div>
+                <div>
+                  <h4 className="font-semibold mb-2">🔀 Multi-Vendor Price Gaps</h4>
+                  <div className="space-y-2">
+                    {supplierStats.multiVendor.slice(0, 10).map((m) => (
+                      <Insight key={`mv-${m.item}`} color="border-cyan-600">
+                        <b>{m.item}</b>: {m.vendorCount} vendors · {fmtCurrency(m.cheapestUnitCost)}–{fmtCurrency(m.highestUnitCost)} (+{fmtPct(m.spreadPct)}) · Buy from {m.cheapestSupplier} to save {fmtCurrency(m.savings)}
+                      </Insight>
+                    ))}
+                    {!supplierStats.multiVendor.length && (
+                      <Insight color="border-emerald-600"><b>✅ No price gaps found.</b> Every item is bought from a single vendor or at the same price.</Insight>
+                    )}
+                  </div>
+                  <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("vendor_consolidation.csv", supplierStats.multiVendor)}>⬇️ Export CSV</button></div>
+                </div>
+              </div>
+            </section>
+          )}
+
+          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+            <h3 className="font-semibold mb-2">📄 Reports & Export</h3>
+            <ReportBuilder
+              tables={reportData}
+              prefs={reportPrefs}
+              onChange={setReportPrefs}
+              onStatus={setStatus}
+            />
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button className="px-3 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-900" onClick={()=>window.print()}>🖨️ Print</button>
             </div>
           </section>
+
+          {wizard && (
+            <MappingWizard
+              wizard={wizard}
+              files={lastBooks.current[wizard.kind] || {}}
+              profiles={mappingProfiles.filter((p) => p.kind === wizard.kind)}
+              onChange={setWizard}
+              onApply={() => applyWizard(wizard).catch((e) => setStatus(`⚠️ ${e.message}`))}
+              onDeleteProfile={(id) => removeProfile(id).catch((e) => setStatus(`⚠️ ${e.message}`))}
+              onCancel={() => setWizard(null)}
+            />
+          )}
+
+          {selectedItem && (
+            <ItemDetail
+              code={selectedItem}
+              item={computed?.items.find((i) => i.itemCode === selectedItem)}
+              salesMap={scoped.salesMap}
+              salesLines={scoped.salesLines}
+              lineItems={scoped.supplierData.lineItems}
+              settings={settings}
+              onClose={() => setSelectedItem(null)}
+            />
+          )}
+
+          <footer className="text-center text-white/90 text-xs pb-6">Data stays in your browser · {new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}</footer>
+        </div>
+      </div>
+    </MoneyContext.Provider>
+  );
+}
+
+// ---- UI helpers ----
+const EXPLORER_COLUMNS = [
+  { key: "itemCode", label: "Item", type: "text" },
+  { key: "itemType", label: "Type", type: "text" },
+  { key: "abcClass", label: "ABC", type: "text" },
+  { key: "xyzClass", label: "XYZ", type: "text" },
+  { key: "Quantity", label: "On Hand", fmt: fmtInt },
+  { key: "unitCost", label: "Unit Cost", fmt: (v, money) => money.fmtCurrency(v) },
+  { key: "unitPrice", label: "Unit Price", fmt: (v, money) => money.fmtCurrency(v) },
+  { key: "profitMargin", label: "Margin", fmt: (v) => fmtPct(v) },
+  { key: "totalCost", label: "Inv. Value", fmt: (v, money) => money.fmtCurrency(v) },
+  { key: "annualSales", label: "Annual Qty", fmt: fmtInt },
+  { key: "daysOfInventory", label: "Days of Inv.", fmt: (v) => (isFinite(v) ? fmtInt(Math.round(v)) : "∞") },
+  { key: "reorderPoint", label: "Reorder Pt", fmt: (v) => fmtInt(Math.round(v)) },
+  { key: "eoq", label: "EOQ", fmt: fmtInt },
+  { key: "priceDelta", label: "Price Δ", fmt: (v, money) => money.fmtCurrency(v) },
+  { key: "annualImpact", label: "Annual Impact", fmt: (v, money) => money.fmtCurrency(v) },
+];
+const EXPLORER_PAGE_SIZE = 50;
+
+// Infinity (no sales) sorts after every finite number in either direction
+function compareValues(a, b, type) {
+  if (type === "text") return String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true });
+  const x = Number(a), y = Number(b);
+  if (x === y) return 0;
+  if (!isFinite(x)) return 1;
+  if (!isFinite(y)) return -1;
+  return x - y;
+}
+
+function ItemExplorer({ items, onExport, onOpenItem }) {
+  const money = useMoney();
+  const [query, setQuery] = useState("");
+  const [itemType, setItemType] = useState("");
+  const [minMargin, setMinMargin] = useState("");
+  const [maxMargin, setMaxMargin] = useState("");
+  const [minQty, setMinQty] = useState("");
+  const [maxQty, setMaxQty] = useState("");
+  const [sort, setSort] = useState({ key: "totalCost", dir: "desc" });
+  const [page, setPage] = useState(0);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const num = (v) => (v === "" ? null : Number(v));
+    const [mMin, mMax, qMin, qMax] = [num(minMargin), num(maxMargin), num(minQty), num(maxQty)];
+    const col = EXPLORER_COLUMNS.find((c) => c.key === sort.key);
+    const rows = items.filter((it) =>
+      (!q || it.itemCode.toLowerCase().includes(q) || it.fullItem.toLowerCase().includes(q)) &&
+      (!itemType || it.itemType === itemType) &&
+      (mMin == null || it.profitMargin >= mMin) && (mMax == null || it.profitMargin <= mMax) &&
+      (qMin == null || it.Quantity >= qMin) && (qMax == null || it.Quantity <= qMax)
+    );
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return rows.sort((a, b) => {
+      const c = compareValues(a[sort.key], b[sort.key], col?.type);
+      // keep Infinity last regardless of direction
+      if (col?.type !== "text" && (!isFinite(a[sort.key]) || !isFinite(b[sort.key]))) return c;
+      return sign * c;
+    });
+  }, [items, query, itemType, minMargin, maxMargin, minQty, maxQty, sort]);
+
+  useEffect(() => setPage(0), [filtered]);
+
+  const pages = Math.max(1, Math.ceil(filtered.length / EXPLORER_PAGE_SIZE));
+  const rows = filtered.slice(page * EXPLORER_PAGE_SIZE, (page + 1) * EXPLORER_PAGE_SIZE);
+  const toggleSort = (key) => setSort((s) => ({ key, dir: s.key === key && s.dir === "desc" ? "asc" : "desc" }));
+  const exportRows = () => onExport("item_explorer.csv", filtered.map((it) => Object.fromEntries(EXPLORER_COLUMNS.map((c) => [c.key, it[c.key]]).concat([["fullItem", it.fullItem]]))));
+
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <h3 className="font-semibold mb-2">🔎 Item Explorer</h3>
+      <div className="flex flex-wrap gap-2 text-sm mb-3">
+        <input className="border rounded-lg px-3 py-1 flex-1 min-w-[180px]" placeholder="Search item code or name" value={query} onChange={(e) => setQuery(e.target.value)} />
+        <select className="border rounded-lg px-2 py-1" value={itemType} onChange={(e) => setItemType(e.target.value)}>
+          <option value="">All types</option>
+          <option value="New">New</option>
+          <option value="ReCert">ReCert</option>
+        </select>
+        <input type="number" className="border rounded-lg px-2 py-1 w-28" placeholder="Margin ≥ %" value={minMargin} onChange={(e) => setMinMargin(e.target.value)} />
+        <input type="number" className="border rounded-lg px-2 py-1 w-28" placeholder="Margin ≤ %" value={maxMargin} onChange={(e) => setMaxMargin(e.target.value)} />
+        <input type="number" className="border rounded-lg px-2 py-1 w-28" placeholder="On hand ≥" value={minQty} onChange={(e) => setMinQty(e.target.value)} />
+        <input type="number" className="border rounded-lg px-2 py-1 w-28" placeholder="On hand ≤" value={maxQty} onChange={(e) => setMaxQty(e.target.value)} />
+        <button className="px-3 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={exportRows}>⬇️ Export filtered CSV</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left">
+              {EXPLORER_COLUMNS.map((c) => (
+                <th key={c.key} className="px-2 py-1 cursor-pointer whitespace-nowrap select-none hover:bg-gray-100" onClick={() => toggleSort(c.key)}>
+                  {c.label}{sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((it, i) => (
+              <tr key={`ex-${it.itemCode}-${i}`} className="border-b hover:bg-gray-50" title={it.fullItem}>
+                {EXPLORER_COLUMNS.map((c) => (
+                  <td key={c.key} className={`px-2 py-1 whitespace-nowrap ${c.type === "text" ? "" : "text-right"}`}>
+                    {c.key === "itemCode" ? <ItemLink code={it.itemCode} onOpen={onOpenItem} /> : c.fmt ? c.fmt(it[c.key], money) : it[c.key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center justify-between text-xs text-gray-600 mt-2">
+        <span>{fmtInt(filtered.length)} of {fmtInt(items.length)} items</span>
+        <div className="flex items-center gap-2">
+          <button className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40" disabled={page === 0} onClick={() => setPage(0)}>«</button>
+          <button className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40" disabled={page === 0} onClick={() => setPage((p) => p - 1)}>‹</button>
+          <span>Page {page + 1} / {pages}</span>
+          <button className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40" disabled={page >= pages - 1} onClick={() => setPage((p) => p + 1)}>›</button>
+          <button className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40" disabled={page >= pages - 1} onClick={() => setPage(pages - 1)}>»</button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+const MAPPING_PREVIEW_ROWS = 8;
+
+function MappingWizard({ wizard, files, profiles, onChange, onApply, onDeleteProfile, onCancel }) {
+  const spec = DATASETS[wizard.kind];
+  const book = files[wizard.uploadId];
+  const rows = book.sheets[wizard.sheetName] || [];
+  const headers = headersAt(rows, wizard.headerRow);
+  const preview = rows.slice(wizard.headerRow, wizard.headerRow + 1 + MAPPING_PREVIEW_ROWS);
+  const width = Math.max(0, ...preview.map((r) => r.length));
+
+  // a new sheet or header row means new header names: re-run auto-detect on them
+  const reframe = (sheetName, headerRow) => {
+    const h = headersAt(book.sheets[sheetName] || [], headerRow);
+    const sheets = wizard.sheets?.includes(sheetName) ? wizard.sheets : [sheetName, ...(wizard.sheets || [])];
+    onChange({ ...wizard, sheetName, sheets, headerRow, fields: fieldsOf(mapColumns(h, spec.columns)) });
+  };
+  const toggleSheet = (name) => {
+    const current = wizard.sheets || [wizard.sheetName];
+    // the primary sheet is always ingested
+    if (name === wizard.sheetName) return;
+    onChange({ ...wizard, sheets: current.includes(name) ? current.filter((n) => n !== name) : [...current, name] });
+  };
+  const switchFile = (uploadId) => {
+    const b = files[uploadId];
+    onChange({ kind: wizard.kind, uploadId: b.uploadId, fileName: b.file, ...autoMapping(wizard.kind, b), profileName: wizard.profileName });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4" onClick={onCancel}>
+      <div className="bg-white w-full max-w-4xl max-h-full overflow-y-auto rounded-2xl p-5 shadow-xl space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">🧭 Column Mapping — {spec.label}</h3>
+            {Object.keys(files).length > 1 ? (
+              <select className="text-xs border rounded px-1 py-0.5 mt-1" value={wizard.uploadId} onChange={(e) => switchFile(e.target.value)}>
+                {Object.values(files).map((f) => <option key={f.uploadId} value={f.uploadId}>{f.file}</option>)}
+              </select>
+            ) : <p className="text-xs text-gray-500">{book.file}</p>}
+          </div>
+          <button className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" onClick={onCancel}>✕</button>
+        </div>
+
+        <div className="flex flex-wrap gap-3 text-sm">
+          {book.sheetNames.length > 1 && (
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">Sheet</span>
+              <select className="border rounded-lg px-2 py-1" value={wizard.sheetName} onChange={(e) => reframe(e.target.value, findHeaderRow(book.sheets[e.target.value], spec.expected))}>
+                {book.sheetNames.map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          )}
+          {book.sheetNames.length > 1 && (
+            <div className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">Ingest sheets (others find their own header row)</span>
+              <div className="flex flex-wrap gap-2">
+                {book.sheetNames.map((n) => (
+                  <label key={`sh-${n}`} className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={n === wizard.sheetName || (wizard.sheets || []).includes(n)} disabled={n === wizard.sheetName} onChange={() => toggleSheet(n)} />
+                    {n} <span className="text-gray-400">({fmtInt(book.rowCounts?.[n])} rows)</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">Header row</span>
+            <input type="number" min="1" max={rows.length} className="border rounded-lg px-2 py-1 w-24" value={wizard.headerRow + 1} onChange={(e) => reframe(wizard.sheetName, Math.min(Math.max(1, Number(e.target.value) || 1), Math.max(1, rows.length)) - 1)} />
+          </label>
+        </div>
+
+        <div className="overflow-x-auto border rounded-lg">
+          <table className="text-xs">
+            <tbody>
+              {preview.map((r, i) => (
+                <tr key={`pv-${i}`} className={i === 0 ? "bg-blue-50 font-semibold" : "border-t"}>
+                  <td className="px-2 py-1 text-gray-400">{wizard.headerRow + i + 1}</td>
+                  {Array.from({ length: width }, (_, j) => <td key={j} className="px-2 py-1 whitespace-nowrap">{String(r[j] ?? "")}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-2 text-sm">
+          {Object.keys(spec.columns).map((field) => (
+            <label key={`f-${field}`} className="flex items-center justify-between gap-2">
+              <span>{field}{spec.required.includes(field) ? " *" : ""}</span>
+              <select className={`border rounded-lg px-2 py-1 w-56 ${spec.required.includes(field) && !wizard.fields[field] ? "border-rose-500" : ""}`} value={wizard.fields[field] || ""} onChange={(e) => onChange({ ...wizard, fields: { ...wizard.fields, [field]: e.target.value || null } })}>
+                <option value="">— none —</option>
+                {headers.filter(Boolean).map((h, i) => <option key={`${field}-${i}`} value={h}>{h}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input className="border rounded-lg px-3 py-1 flex-1 min-w-[200px]" placeholder="Save as profile (optional), e.g. Saved search v2" value={wizard.profileName} onChange={(e) => onChange({ ...wizard, profileName: e.target.value })} />
+          <button className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={onApply}>Apply mapping</button>
+        </div>
+
+        {profiles.length > 0 && (
+          <div className="text-xs space-y-1">
+            <div className="font-semibold">Saved profiles for {spec.label}</div>
+            {profiles.map((p) => (
+              <div key={`prof-${p.id}`} className="flex items-center justify-between bg-gray-50 rounded px-2 py-1">
+                <span>{p.name} · sheet {p.sheetName} · header row {p.headerRow + 1}</span>
+                <button className="text-rose-600 hover:underline" onClick={() => onDeleteProfile(p.id)}>Delete</button>
+              </div>
+            ))}
+          </div>
         )}
+      </div>
+    </div>
+  );
+}
 
-        {computed && (
-          <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-            <div className="bg-gradient-to-r from-violet-600 to-fuchsia-600 text-white rounded-xl p-4 mb-3">
-              <h3 className="font-semibold text-lg">🔮 Predictive Analytics</h3>
-              <p>{computed.criticalStockouts.length} critical stockout risks (≤30 days) · {computed.warningStockouts.length} warnings (31–60 days)</p>
-              <p>{computed.priceOpps.length} price optimization opportunities identified</p>
+function DataQualityReport({ reports, issues, salesNote, onExport }) {
+  const { fmtCurrency } = useMoney();
+  const lists = [
+    { key: "unmatchedCost", title: "Cost items with no sales match", hint: "counted as zero sales — check item naming", file: "unmatched_cost_items.csv", color: "border-red-600", label: (r) => `${r.itemCode} · ${fmtCurrency(r.totalCost)}` },
+    { key: "unmatchedSales", title: "Sales items with no cost record", hint: "sold but missing from the cost export", file: "unmatched_sales_items.csv", color: "border-orange-500", label: (r) => `${r.item} · ${fmtInt(r.totalQtySold)} sold` },
+    { key: "duplicates", title: "Duplicate item codes", hint: "several cost rows share one code", file: "duplicate_item_codes.csv", color: "border-amber-500", label: (r) => `${r.itemCode} · ${r.fullItem}` },
+    { key: "badCosts", title: "Negative or zero unit costs", hint: "inflate margins", file: "bad_unit_costs.csv", color: "border-rose-600", label: (r) => `${r.itemCode} · ${fmtCurrency(r.unitCost)}` },
+  ];
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <h3 className="font-semibold mb-2">🧪 Data Quality & Match Rate</h3>
+      {salesNote && <div className="mb-3"><Insight color="border-amber-500">⚠️ {salesNote}</Insight></div>}
+      <div className="grid md:grid-cols-2 gap-3 mb-3">
+        {Object.entries(reports).map(([kind, r]) => (
+          <div key={`dq-${kind}`} className="border rounded-lg p-3 text-sm">
+            <div className="flex items-center justify-between mb-1">
+              <b>{DATASETS[kind]?.label || kind}</b>
+              <span className="text-xs text-gray-500 truncate ml-2">{r.file} · header row {r.headerRow}</span>
             </div>
-            <div className="grid md:grid-cols-2 gap-3">
-              <div>
-                <h4 className="font-semibold mb-2">🚨 Stockout Risk Alerts</h4>
-                <div className="space-y-2">
-                  {computed.criticalStockouts.slice(0,8).map((it)=>(
-                    <Insight key={`crit-${it.itemCode}`} color="border-red-600">
-                      <b>CRITICAL: {it.itemCode}</b> · runs out in {Math.round(it.daysUntilStockout)} days · {fmtInt(it.Quantity)} left · ~{(Math.round(it.dailySales * 10) / 10)} /day
-                    </Insight>
-                  ))}
-                  {computed.warningStockouts.slice(0,5).map((it)=>(
-                    <Insight key={`warn-${it.itemCode}`} color="border-orange-500">
-                      <b>WARNING: {it.itemCode}</b> · runs out in {Math.round(it.daysUntilStockout)} days · {fmtInt(it.Quantity)} left · ~{(Math.round(it.dailySales * 10) / 10)} /day
-                    </Insight>
-                  ))}
-                  {!computed.criticalStockouts.length && !computed.warningStockouts.length && (
-                    <Insight color="border-emerald-600"><b>✅ No critical stockout risks detected!</b> All high-value items have sufficient inventory.</Insight>
-                  )}
-                </div>
+            <div className="text-xs mb-2">{fmtInt(r.kept)} kept · {fmtInt(r.totalRows - r.kept)} dropped of {fmtInt(r.totalRows)} rows</div>
+            {r.files?.length > 1 && (
+              <div className="text-xs text-gray-500 mb-2">
+                {r.files.map((f) => <div key={`${kind}-${f.file}`}>📄 {f.file}: {fmtInt(f.kept)} of {fmtInt(f.totalRows)} rows</div>)}
               </div>
-              <div>
-                <h4 className="font-semibold mb-2">💰 Price Optimization</h4>
-                <div className="space-y-2">
-                  {computed.priceOpps.slice(0,8).map((it)=>(
-                    <Insight key={`price-${it.itemCode}`} color="border-purple-600">
-                      <b>{it.itemCode}</b>: +{it.priceDelta.toFixed(2)} price headroom · Annual impact: {fmtCurrency(it.annualImpact)}
-                    </Insight>
-                  ))}
+            )}
+            <table className="w-full text-xs mb-2">
+              <tbody>
+                {r.columns.map((c) => (
+                  <tr key={`${kind}-${c.field}`}>
+                    <td className="pr-2 text-gray-500">{c.field}</td>
+                    <td className={c.how === "exact" ? "" : c.how === "contains" ? "text-amber-700" : "text-rose-700"}>
+                      {c.column ?? "— not found"}{c.how === "contains" ? " (partial match)" : c.how === "manual" ? " (mapped)" : ""}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {Object.keys(r.dropped).length > 0 && (
+              <div className="text-xs space-y-0.5">
+                {Object.entries(r.dropped).map(([reason, n]) => <div key={`${kind}-${reason}`}>• {fmtInt(n)} {reason}</div>)}
+                <button className="mt-1 px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" onClick={() => onExport(`dropped_rows_${kind}.csv`, r.droppedRows)}>⬇️ Dropped rows</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {lists.map((l) => (
+          <div key={l.key}>
+            <h4 className="font-semibold text-sm">{l.title} ({fmtInt(issues[l.key].length)})</h4>
+            <p className="text-xs text-gray-500 mb-1">{l.hint}</p>
+            <div className="space-y-1">
+              {issues[l.key].slice(0, 5).map((r, i) => <Insight key={`${l.key}-${i}`} color={l.color}>{l.label(r)}</Insight>)}
+            </div>
+            {issues[l.key].length > 0 && <button className="mt-1 px-2 py-1 rounded bg-emerald-600 text-white text-xs hover:bg-emerald-700" onClick={() => onExport(l.file, issues[l.key])}>⬇️ Export CSV</button>}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+const SALES_MATCH_LABELS = { code: "item code", New: "item code + \"-New\"", ReCert: "item code + \"-ReCert\"", fullItem: "full item name" };
+
+function salesMatchKind(item) {
+  if (!item.salesKey) return null;
+  if (item.salesKey === item.itemCode) return "code";
+  if (item.salesKey === `${item.itemCode}-New`) return "New";
+  if (item.salesKey === `${item.itemCode}-ReCert`) return "ReCert";
+  return "fullItem";
+}
+
+// five bands: deep red below zero, light red under half the target margin, amber under the target,
+// light green up to 1.5× the target, deep green beyond; grey when there is no revenue to take a margin of
+const marginColor = (pct, target) =>
+  pct == null ? "bg-gray-50" : pct < 0 ? "bg-rose-300" : pct < target * 50 ? "bg-rose-100" : pct < target * 100 ? "bg-amber-100" : pct < target * 150 ? "bg-emerald-100" : "bg-emerald-300";
+
+function CustomerProfitability({ stats, targetMargin, onExport, onOpenItem }) {
+  const { fmtCurrency } = useMoney();
+  const { ranked, lowMargin, heatmap } = stats;
+  return (
+    <div className="mt-4 space-y-3">
+      <h4 className="font-semibold">💵 Customer Profitability</h4>
+      <p className="text-xs text-gray-500">
+        Gross margin from customer × item detail at the cost export's unit cost: {fmtCurrency(stats.grossProfit)} on {fmtCurrency(stats.revenue)} ({stats.marginPct == null ? "—" : fmtPct(stats.marginPct)}).
+        {stats.unmatchedRevenue > 0 && ` ${fmtPct(100 - stats.matchedPct)} of detail revenue (${fmtCurrency(stats.unmatchedRevenue)}) has no known cost and is left out${stats.noQtyRevenue > 0 ? ` (${fmtCurrency(stats.noQtyRevenue)} of it on lines with no quantity)` : ""}.`}
+      </p>
+      <div className="grid md:grid-cols-2 gap-3">
+        <div>
+          <h4 className="font-semibold mb-2">🏆 Ranked by Gross Profit</h4>
+          <div className="max-h-80 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead><tr className="text-left text-gray-500"><th>#</th><th>Customer</th><th className="text-right">Revenue</th><th className="text-right">Gross profit</th><th className="text-right">Margin</th></tr></thead>
+              <tbody>
+                {ranked.slice(0, 25).map((c) => (
+                  <tr key={c.customer} className="border-t">
+                    <td className="py-1">{c.rank}</td>
+                    <td className="truncate max-w-[160px]">{c.customer}</td>
+                    <td className="text-right">{fmtCurrency(c.revenue)}</td>
+                    <td className={`text-right ${c.grossProfit < 0 ? "text-red-600" : ""}`}>{fmtCurrency(c.grossProfit)}</td>
+                    <td className="text-right">{fmtPct(c.marginPct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("customer_profitability.csv", ranked)}>⬇️ Export CSV</button></div>
+        </div>
+        <div>
+          <h4 className="font-semibold mb-2">⚠️ Below {fmtPct(targetMargin * 100)} Target Margin ({fmtInt(lowMargin.length)})</h4>
+          <div className="space-y-2 max-h-80 overflow-y-auto">
+            {lowMargin.slice(0, 10).map((c) => (
+              <Insight key={`lm-${c.customer}`} color={c.marginPct < 0 ? "border-red-600" : "border-orange-500"}>
+                <b>{c.customer}</b>: {fmtPct(c.marginPct)} on {fmtCurrency(c.revenue)} · worst items:{" "}
+                {c.worstItems.map((it, i) => (
+                  <span key={it.itemCode}>{i > 0 && ", "}<ItemLink code={it.itemCode} onOpen={onOpenItem} /> {fmtCurrency(it.grossProfit)} ({it.marginPct == null ? "—" : fmtPct(it.marginPct)})</span>
+                ))}
+              </Insight>
+            ))}
+            {!lowMargin.length && <Insight color="border-emerald-600"><b>✅ Every customer clears the target margin.</b></Insight>}
+          </div>
+          <div className="mt-2">
+            <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("low_margin_customers.csv", lowMargin.flatMap((c) => c.worstItems.map((it) => ({ customer: c.customer, customerMarginPct: c.marginPct, customerRevenue: c.revenue, itemCode: it.itemCode, itemRevenue: it.revenue, itemGrossProfit: it.grossProfit, itemMarginPct: it.marginPct }))))}>⬇️ Export CSV</button>
+          </div>
+        </div>
+      </div>
+      {heatmap.items.length > 0 && (
+        <div>
+          <h4 className="font-semibold mb-2">🌡️ Customer × Item Margin (top {fmtInt(heatmap.customers.length)} customers by revenue)</h4>
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {heatmap.items.map((code) => <th key={code} className="px-1 font-medium whitespace-nowrap"><ItemLink code={code} onOpen={onOpenItem} /></th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {heatmap.customers.map((name, r) => (
+                  <tr key={name}>
+                    <th className="text-left font-medium pr-2 truncate max-w-[160px]">{name}</th>
+                    {heatmap.cells[r].map((cell, c) => (
+                      <td key={c} className={`px-1 py-1 text-center rounded ${cell ? marginColor(cell.marginPct, targetMargin) : "bg-white"}`}
+                        title={cell ? `${name} × ${heatmap.items[c]}: ${fmtCurrency(cell.revenue)} revenue, ${fmtCurrency(cell.grossProfit)} gross profit` : ""}>
+                        {cell ? (cell.marginPct == null ? "—" : `${Math.round(cell.marginPct)}%`) : ""}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const ABC_LABELS = { A: "A · top 80% of value", B: "B · next 15%", C: "C · last 5%" };
+const XYZ_LABELS = { X: "X · steady (CV ≤ 0.5)", Y: "Y · variable (≤ 1.0)", Z: "Z · erratic / no history" };
+const CELL_COLORS = { AX: "bg-emerald-100", AY: "bg-emerald-50", AZ: "bg-amber-100", BX: "bg-emerald-50", BY: "bg-gray-50", BZ: "bg-amber-50", CX: "bg-gray-50", CY: "bg-amber-50", CZ: "bg-rose-50" };
+
+function AbcXyzMatrix({ items, serviceLevels, safetyMethod, onServiceLevels, onSafetyMethod, onExport }) {
+  const { fmtCurrency } = useMoney();
+  const cells = useMemo(() => abcXyzMatrix(items), [items]);
+  const totalValue = sum(Object.values(cells).map((c) => c.value));
+  const exportRows = () => items.map((it) => ({
+    itemCode: it.itemCode, fullItem: it.fullItem, abcClass: it.abcClass, xyzClass: it.xyzClass,
+    annualSales: it.annualSales, annualValue: Math.round(it.annualSales * it.unitCost * 100) / 100,
+    demandCV: it.demandCV == null ? "" : Math.round(it.demandCV * 100) / 100, serviceLevel: it.serviceLevel,
+    onHandValue: Math.round(it.totalCost * 100) / 100, safetyStock: Math.round(it.safetyStock * 10) / 10, reorderPoint: Math.round(it.reorderPoint * 10) / 10,
+  }));
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <h3 className="font-semibold mb-1">🧮 ABC × XYZ Classification</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        ABC ranks items by annual consumption value (units sold × unit cost); XYZ by the coefficient of variation of monthly demand from dated sales lines.
+        Each cell shows item count and on-hand value, with the service level used for safety stock.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-separate" style={{ borderSpacing: 4 }}>
+          <thead>
+            <tr className="text-xs text-gray-600">
+              <th />
+              {["X", "Y", "Z"].map((x) => <th key={x} className="font-medium">{XYZ_LABELS[x]}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {["A", "B", "C"].map((a) => (
+              <tr key={a}>
+                <th className="text-xs text-gray-600 font-medium text-left pr-2">{ABC_LABELS[a]}</th>
+                {["X", "Y", "Z"].map((x) => {
+                  const key = a + x;
+                  const c = cells[key];
+                  return (
+                    <td key={key} className={`${CELL_COLORS[key]} rounded-lg p-2 align-top`}>
+                      <div className="flex justify-between"><b>{key}</b><span>{fmtInt(c.count)} items</span></div>
+                      <div className="text-gray-700">{fmtCurrency(c.value)} <span className="text-xs text-gray-500">({fmtPct(totalValue ? (c.value / totalValue) * 100 : 0)})</span></div>
+                      <label className="flex items-center gap-1 text-xs mt-1">
+                        Service level
+                        <input type="number" min="50" max="99.9" step="0.1" className="border rounded px-1 w-16" value={Math.round(serviceLevels[key] * 1000) / 10}
+                          onChange={(e) => onServiceLevels((p) => ({ ...p, [key]: Math.min(Math.max(Number(e.target.value) || 50, 50), 99.9) / 100 }))} />%
+                      </label>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={safetyMethod === "service"} onChange={(e) => onSafetyMethod(e.target.checked ? "service" : "days")} />
+          Size safety stock from these service levels (z × σ of monthly demand × √lead time)
+        </label>
+        <span className="text-xs text-gray-500">Items without dated sales keep the safety-stock days policy.</span>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("abc_xyz_classification.csv", exportRows())}>⬇️ Export Classification CSV</button>
+        <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={() => onServiceLevels(DEFAULT_SERVICE_LEVELS)}>Reset service levels</button>
+      </div>
+    </section>
+  );
+}
+
+const AGING_TOP_ROWS = 25;
+
+// dataAsOf is set only while the as-of date is overridden, to offer going back to the data's own date
+function InventoryAging({ aging, asOf, dataAsOf, onAsOf, holdingCostRate, onExport, onOpenItem }) {
+  const { fmtCurrency, fmtAxis } = useMoney();
+  const chart = useMemo(() => (aging ? AGING_BUCKETS.map((b) => ({
+    label: b.label,
+    New: sum(aging.rows.filter((r) => r.itemType !== "ReCert").map((r) => r[b.key])),
+    ReCert: sum(aging.rows.filter((r) => r.itemType === "ReCert").map((r) => r[b.key])),
+  })) : []), [aging]);
+
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <div className="flex flex-wrap items-center gap-3 mb-1">
+        <h3 className="font-semibold text-lg">⏳ Inventory Aging</h3>
+        <label className="text-sm flex items-center gap-1">As of
+          <input type="date" className="border rounded px-2 py-1" value={asOf} onChange={(e) => e.target.value && onAsOf(e.target.value)} />
+        </label>
+        {dataAsOf ? (
+          <button className="text-xs text-blue-700 hover:underline" onClick={() => onAsOf("")}>Use latest data date ({dataAsOf})</button>
+        ) : (
+          <span className="text-xs text-gray-500">newest receipt or sale in the loaded data</span>
+        )}
+      </div>
+      {!aging ? (
+        <p className="text-sm text-gray-500">Load PO Details with receipt dates to age on-hand inventory.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-3">
+            On-hand quantity is matched FIFO to PO receipts, newest first, and valued at unit cost. Carrying cost accrues at {fmtPct(holdingCostRate * 100)} a year from each receipt date.
+            {aging.untracedValue > 0 && ` ${fmtCurrency(aging.untracedValue)} of stock is older than the PO history and is aged from its start (${aging.historyStart.toLocaleDateString()}), so those ages are minimums.`}
+          </p>
+          <div className="grid md:grid-cols-4 gap-3 mb-3">
+            {aging.buckets.map((b) => (
+              <div key={b.key} className="bg-gray-50 rounded-lg p-3 text-center">
+                <div className="text-lg font-bold">{fmtCurrency(b.value)}</div>
+                <div className="text-xs text-gray-500">{b.label} · {fmtPct(aging.totalValue ? (b.value / aging.totalValue) * 100 : 0)}</div>
+              </div>
+            ))}
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <h4 className="font-semibold mb-2">📦 Value by Age</h4>
+              <div className="h-64">
+                <ResponsiveContainer>
+                  <BarChart data={chart} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis tickFormatter={fmtAxis} />
+                    <Tooltip formatter={(v)=>fmtCurrency(v)} />
+                    <Legend />
+                    <Bar dataKey="New" stackId="type" fill="#16a34a" />
+                    <Bar dataKey="ReCert" stackId="type" fill="#f59e0b" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <h4 className="font-semibold mb-2">💸 Carrying Cost of Current Stock ({fmtCurrency(aging.carryingCost)} to date)</h4>
+              <div className="h-64">
+                <ResponsiveContainer>
+                  <ComposedChart data={aging.trend} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="month" />
+                    <YAxis tickFormatter={fmtAxis} />
+                    <Tooltip formatter={(v)=>fmtCurrency(v)} />
+                    <Legend />
+                    <Bar dataKey="accrued" name="Accrued in month" fill="#fb923c" />
+                    <Line dataKey="cumulative" name="Cumulative" stroke="#dc2626" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+          <h4 className="font-semibold mt-3 mb-2">🧾 Highest Carrying Cost</h4>
+          <div className="max-h-80 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Item</th><th className="text-right">Value</th>
+                  {AGING_BUCKETS.map((b) => <th key={b.key} className="text-right">{b.label}</th>)}
+                  <th className="text-right">Avg age</th><th className="text-right">Carrying cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {aging.rows.slice(0, AGING_TOP_ROWS).map((r) => (
+                  <tr key={r.itemCode} className="border-t">
+                    <td className="py-1"><ItemLink code={r.itemCode} onOpen={onOpenItem} /></td>
+                    <td className="text-right">{fmtCurrency(r.totalCost)}</td>
+                    {AGING_BUCKETS.map((b) => <td key={b.key} className="text-right">{r[b.key] ? fmtCurrency(r[b.key]) : "—"}</td>)}
+                    <td className="text-right">{fmtInt(Math.round(r.avgAgeDays))}{r.untracedQty > 0 && "+"} d</td>
+                    <td className="text-right">{fmtCurrency(r.carryingCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2">
+            <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("inventory_aging.csv", aging.rows.map(({ oldestReceipt, ...r }) => ({ ...r, oldestReceipt: localDay(oldestReceipt) })))}>⬇️ Export Aging CSV</button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+const SEVERITY_STYLES = {
+  critical: { border: "border-red-600", badge: "bg-red-100 text-red-700" },
+  warning: { border: "border-orange-500", badge: "bg-orange-100 text-orange-700" },
+  info: { border: "border-blue-500", badge: "bg-blue-100 text-blue-700" },
+};
+const ALERT_VIEWS = { open: "Open", snoozed: "Snoozed", acknowledged: "Acknowledged", all: "All" };
+const ALERT_PAGE_SIZE = 50;
+const newCondition = () => ({ field: "profitMargin", op: "lt", value: "" });
+
+const fmtAlertValue = (v) => (typeof v === "number" ? (Number.isFinite(v) ? v.toLocaleString(undefined, { maximumFractionDigits: 2 }) : "∞") : String(v));
+const alertValues = (values) => Object.entries(values).map(([k, v]) => `${k} ${fmtAlertValue(v)}`).join(" · ");
+const ruleText = (rule) => rule.conditions.map((c) => `${c.field} ${ALERT_OPS[c.op]} ${c.value}`).join(" and ");
+
+function SeverityBadge({ severity }) {
+  return <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${SEVERITY_STYLES[severity]?.badge || ""}`}>{severity}</span>;
+}
+
+function AlertsInbox({ rules, usingDefaults, alerts, fields, onSaveRule, onDeleteRule, onSetStatus, onExport, onOpenItem }) {
+  const [view, setView] = useState("open");
+  const [draft, setDraft] = useState(null);
+  const [snoozeDays, setSnoozeDays] = useState(7);
+  const [showAll, setShowAll] = useState(false);
+
+  const counts = useMemo(() => {
+    const c = { open: 0, snoozed: 0, acknowledged: 0, all: alerts.length };
+    alerts.forEach((a) => { c[a.status]++; });
+    return c;
+  }, [alerts]);
+  const matches = useMemo(() => {
+    const m = {};
+    alerts.forEach((a) => { m[a.ruleId] = (m[a.ruleId] || 0) + 1; });
+    return m;
+  }, [alerts]);
+  const shown = view === "all" ? alerts : alerts.filter((a) => a.status === view);
+  const visible = showAll ? shown : shown.slice(0, ALERT_PAGE_SIZE);
+  const fieldType = (key) => fields.find((f) => f.key === key)?.type || "number";
+
+  const validOp = (type, op) => (type === "number" ? (op === "contains" ? "gt" : op) : (["eq", "neq", "contains"].includes(op) ? op : "eq"));
+  const setCondition = (i, patch) => setDraft((d) => ({ ...d, conditions: d.conditions.map((c, j) => (j === i ? { ...c, ...patch } : c)) }));
+  const draftError = !draft ? "" : !draft.name.trim() ? "Name the rule" : draft.conditions.some((c) => !c.field || String(c.value).trim() === "") ? "Every condition needs a field and a value" : "";
+
+  function saveDraft() {
+    if (draftError) return;
+    const conditions = draft.conditions.map((c) => ({ ...c, value: fieldType(c.field) === "number" && c.op !== "contains" ? Number(c.value) : String(c.value).trim() }));
+    onSaveRule({ ...draft, name: draft.name.trim(), conditions });
+    setDraft(null);
+  }
+
+  function exportInbox() {
+    onExport(`alerts_${view}.csv`, shown.map((a) => ({
+      severity: a.severity, rule: a.rule, itemCode: a.itemCode, fullItem: a.fullItem, values: alertValuesText(a.values), status: a.status, snoozedUntil: a.until || "",
+    })));
+  }
+
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <h3 className="font-semibold text-lg">🔔 Alerts</h3>
+        <span className="text-sm text-gray-600">{fmtInt(counts.open)} open across {fmtInt(rules.filter((r) => r.enabled).length)} active rules</span>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">Rules are saved in this browser and re-evaluated against the computed items on every data load. An item alerts when it meets every condition of a rule; acknowledged alerts stay closed and snoozed ones reopen when the snooze ends.</p>
+
+      <div className="grid lg:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold">📏 Rules</h4>
+            <button className="px-2 py-1 rounded border text-sm hover:bg-gray-50" onClick={() => setDraft({ name: "", severity: "warning", enabled: true, conditions: [newCondition()] })}>+ New rule</button>
+          </div>
+          {rules.map((r) => (
+            <div key={r.id} className={`border-l-4 ${SEVERITY_STYLES[r.severity]?.border} bg-gray-50 rounded-md px-3 py-2 text-sm ${r.enabled ? "" : "opacity-60"}`}>
+              <div className="flex items-center gap-2">
+                <input type="checkbox" checked={r.enabled} title="Enabled" onChange={(e) => onSaveRule({ ...r, enabled: e.target.checked })} />
+                <b className="flex-1 truncate">{r.name}</b>
+                <SeverityBadge severity={r.severity} />
+              </div>
+              <div className="text-xs text-gray-600 mt-1">{ruleText(r)}</div>
+              <div className="flex items-center gap-2 mt-1 text-xs">
+                <span className="text-gray-500 flex-1">{fmtInt(matches[r.id] || 0)} matching items</span>
+                <button className="text-blue-700 hover:underline" onClick={() => setDraft({ ...r, conditions: r.conditions.map((c) => ({ ...c })) })}>Edit</button>
+                <button className="text-red-600 hover:underline" onClick={() => onDeleteRule(r.id)}>Delete</button>
+              </div>
+            </div>
+          ))}
+          {usingDefaults && <p className="text-xs text-gray-500">No saved rules: the default stockout and loss rules are in effect. Editing or deleting one saves the rest; disable a rule to silence it.</p>}
+
+          {draft && (
+            <div className="border rounded-lg p-3 space-y-2 text-sm">
+              <div className="flex gap-2">
+                <input className="border rounded px-2 py-1 flex-1" placeholder="Rule name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                <select className="border rounded px-2 py-1" value={draft.severity} onChange={(e) => setDraft({ ...draft, severity: e.target.value })}>
+                  {ALERT_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+              {draft.conditions.map((c, i) => (
+                <div key={i} className="flex gap-1 items-center">
+                  {i > 0 && <span className="text-xs text-gray-500">and</span>}
+                  <select className="border rounded px-1 py-1 min-w-0 flex-1" value={c.field} onChange={(e) => setCondition(i, { field: e.target.value, op: validOp(fieldType(e.target.value), c.op) })}>
+                    {!fields.some((f) => f.key === c.field) && <option value={c.field}>{c.field}</option>}
+                    {fields.map((f) => <option key={f.key} value={f.key}>{f.key}</option>)}
+                  </select>
+                  <select className="border rounded px-1 py-1" value={c.op} onChange={(e) => setCondition(i, { op: e.target.value })}>
+                    {Object.entries(ALERT_OPS).filter(([op]) => fieldType(c.field) === "number" ? op !== "contains" : ["eq", "neq", "contains"].includes(op)).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+                  </select>
+                  <input className="border rounded px-1 py-1 w-20" type={fieldType(c.field) === "number" ? "number" : "text"} step="any" value={c.value} onChange={(e) => setCondition(i, { value: e.target.value })} />
+                  <button className="text-gray-500 hover:text-red-600 px-1" title="Remove condition" disabled={draft.conditions.length === 1} onClick={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, j) => j !== i) })}>×</button>
                 </div>
-                <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => downloadCSV("price_opportunities.csv", computed.priceOpps)}>⬇️ Export Price Opps CSV</button></div>
+              ))}
+              <button className="text-xs text-blue-700 hover:underline" onClick={() => setDraft({ ...draft, conditions: [...draft.conditions, newCondition()] })}>+ Add condition</button>
+              <p className="text-xs text-gray-500">Percent fields such as profitMargin are in points: 15 means 15%.</p>
+              {draftError && <p className="text-xs text-red-600">{draftError}</p>}
+              <div className="flex gap-2">
+                <button className="px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" disabled={!!draftError} onClick={saveDraft}>Save rule</button>
+                <button className="px-3 py-1 rounded-lg border hover:bg-gray-50" onClick={() => setDraft(null)}>Cancel</button>
               </div>
             </div>
-          </section>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <h4 className="font-semibold mr-2">📥 Inbox</h4>
+            {Object.entries(ALERT_VIEWS).map(([k, label]) => (
+              <button key={k} className={`px-2 py-1 rounded text-sm ${view === k ? "bg-gray-800 text-white" : "border hover:bg-gray-50"}`} onClick={() => { setView(k); setShowAll(false); }}>{label} ({fmtInt(counts[k])})</button>
+            ))}
+            <label className="ml-auto text-sm flex items-center gap-1">Snooze for
+              <select className="border rounded px-1 py-1" value={snoozeDays} onChange={(e) => setSnoozeDays(Number(e.target.value))}>
+                {[1, 7, 30, 90].map((d) => <option key={d} value={d}>{d} {d === 1 ? "day" : "days"}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead><tr className="text-left text-gray-500"><th>Severity</th><th>Rule</th><th>Item</th><th>Values</th><th>Status</th><th /></tr></thead>
+              <tbody>
+                {visible.map((a) => (
+                  <tr key={a.key} className="border-t align-top">
+                    <td className="py-1"><SeverityBadge severity={a.severity} /></td>
+                    <td>{a.rule}</td>
+                    <td><ItemLink code={a.itemCode} onOpen={onOpenItem} /></td>
+                    <td className="text-gray-600">{alertValues(a.values)}</td>
+                    <td className="whitespace-nowrap">{a.status === "snoozed" ? `until ${new Date(a.until).toLocaleDateString()}` : a.status}</td>
+                    <td className="text-right whitespace-nowrap space-x-2">
+                      {a.status === "open" ? (
+                        <>
+                          <button className="text-blue-700 hover:underline" onClick={() => onSetStatus([a.key], "acknowledged")}>Acknowledge</button>
+                          <button className="text-blue-700 hover:underline" onClick={() => onSetStatus([a.key], "snoozed", snoozeDays)}>Snooze</button>
+                        </>
+                      ) : (
+                        <button className="text-blue-700 hover:underline" onClick={() => onSetStatus([a.key], "open")}>Reopen</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!shown.length && <Insight color="border-emerald-600"><b>✅ Nothing {view === "all" ? "matches your rules" : `${ALERT_VIEWS[view].toLowerCase()}`}.</b></Insight>}
+          </div>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {shown.length > ALERT_PAGE_SIZE && (
+              <button className="px-3 py-2 rounded-lg border hover:bg-gray-50" onClick={() => setShowAll(!showAll)}>{showAll ? "Show fewer" : `Show all ${fmtInt(shown.length)}`}</button>
+            )}
+            {view === "open" && counts.open > 0 && (
+              <button className="px-3 py-2 rounded-lg border hover:bg-gray-50" onClick={() => onSetStatus(shown.map((a) => a.key), "acknowledged")}>Acknowledge all {fmtInt(counts.open)}</button>
+            )}
+            <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" disabled={!shown.length} onClick={exportInbox}>⬇️ Export Alerts CSV</button>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+function EntitySettings({ entity, scoped, onChange, onRatesFile }) {
+  const [newCode, setNewCode] = useState("");
+  const set = (patch) => onChange((e) => ({ ...e, ...patch }));
+  const setRate = (code, v) => onChange((e) => ({ ...e, rates: { ...e.rates, [code]: v } }));
+  const removeRate = (code) => onChange((e) => ({ ...e, rates: Object.fromEntries(Object.entries(e.rates).filter(([c]) => c !== code)) }));
+  const codes = [...new Set([entity.baseCurrency, ...Object.keys(entity.rates), ...scoped.currencies])].filter((c) => CURRENCY_CODE.test(c)).sort();
+  const addCode = () => {
+    const code = newCode.trim().toUpperCase();
+    if (!CURRENCY_CODE.test(code) || code === entity.baseCurrency) return;
+    setRate(code, entity.rates[code] ?? "");
+    setNewCode("");
+  };
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <h3 className="font-semibold mb-2">🌐 Subsidiaries & Currency</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Subsidiary</span>
+          <select className="border rounded-lg px-2 py-1" value={entity.subsidiary} onChange={(e) => set({ subsidiary: e.target.value })}>
+            <option value="">All subsidiaries (consolidated)</option>
+            {scoped.subsidiaries.map((sub) => <option key={sub} value={sub}>{sub}</option>)}
+            {entity.subsidiary && !scoped.subsidiaries.includes(entity.subsidiary) && <option value={entity.subsidiary}>{entity.subsidiary} (not in data)</option>}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Reporting currency</span>
+          <select className="border rounded-lg px-2 py-1" value={entity.reportingCurrency} onChange={(e) => set({ reportingCurrency: e.target.value })}>
+            {codes.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Base currency (rates are quoted in it)</span>
+          <select className="border rounded-lg px-2 py-1" value={entity.baseCurrency} onChange={(e) => set({ baseCurrency: e.target.value })}>
+            {codes.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Exchange-rate CSV (Currency, Rate)</span>
+          <FilePick label="📄 Upload Rates" accept=".csv" onFile={onRatesFile} color="bg-slate-600" />
+        </div>
+      </div>
+      <h4 className="font-semibold mt-4 mb-2">💱 Exchange Rates (1 unit = ? {entity.baseCurrency})</h4>
+      <div className="flex flex-wrap gap-2 text-sm items-center">
+        {Object.keys(entity.rates).sort().map((code) => (
+          <span key={code} className={`flex items-center gap-1 border rounded-lg px-2 py-1 ${scoped.missingRates.includes(code) ? "border-rose-500" : ""}`}>
+            <b>{code}</b>
+            <input type="number" min="0" step="any" className="w-24 border rounded px-1" value={entity.rates[code]} onChange={(e) => setRate(code, e.target.value === "" ? "" : Number(e.target.value))} />
+            <button className="text-gray-400 hover:text-red-600" title="Remove rate" onClick={() => removeRate(code)}>✕</button>
+          </span>
+        ))}
+        <input className="border rounded-lg px-2 py-1 w-20 uppercase" maxLength={3} placeholder="EUR" value={newCode} onChange={(e) => setNewCode(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addCode()} />
+        <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={addCode}>Add currency</button>
+      </div>
+      {scoped.missingRates.length > 0 && (
+        <p className="text-xs text-rose-700 mt-2">⚠️ No rate for {scoped.missingRates.join(", ")}: those amounts are shown unconverted until you enter one.</p>
+      )}
+      {scoped.unsplit.length > 0 && (
+        <p className="text-xs text-amber-700 mt-1">{scoped.unsplit.join(", ")} {scoped.unsplit.length === 1 ? "has" : "have"} no Subsidiary column and {scoped.unsplit.length === 1 ? "is" : "are"} shown for all subsidiaries.</p>
+      )}
+      <h4 className="font-semibold mt-4 mb-2">🔁 Intercompany Exclusions</h4>
+      <div className="grid md:grid-cols-2 gap-3 text-sm">
+        {[["intercompanyCustomers", "Customer name pattern (regex)", "customers"], ["intercompanyVendors", "Vendor name pattern (regex)", "vendors"]].map(([key, label, kind]) => (
+          <label key={key} className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">{label} · {fmtInt(scoped.excluded[kind])} excluded</span>
+            <input className={`border rounded-lg px-2 py-1 font-mono ${scoped.patternErrors[kind] ? "border-rose-500" : ""}`} value={entity[key]} onChange={(e) => set({ [key]: e.target.value })} placeholder="leave blank to keep all" />
+            {scoped.patternErrors[kind] && <span className="text-xs text-rose-700">{scoped.patternErrors[kind]}</span>}
+          </label>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// pdfRows caps each PDF table (0 = every row); the Excel workbook always has the full tables
+const DEFAULT_REPORT_PREFS = { title: "Inventory & Sales Executive Report", sections: REPORT_SECTIONS.map((s) => s.id), logo: null, pdfRows: 25 };
+const REPORT_PDF_ROW_OPTIONS = [25, 100, 500, 0];
+
+function formatCell(v, format, fmtCurrency) {
+  if (v == null || v === "") return "";
+  if (typeof v === "number" && !Number.isFinite(v)) return "—";
+  if (format === "currency") return fmtCurrency(v);
+  if (format === "pct") return fmtPct(v);
+  if (format === "int") return fmtInt(Math.round(v));
+  if (format === "decimal") return Number(v).toFixed(1);
+  return String(v);
+}
+
+// Builds a print-only document (no upload controls, one section per page) and captures that instead of the dashboard.
+function ReportBuilder({ tables, prefs, onChange, onStatus }) {
+  const [date, setDate] = useState(() => localDay(new Date()));
+  // the PDF being built: everything it needs is captured on click, so later edits don't leak into it
+  const [job, setJob] = useState(null);
+  const docRef = useRef(null);
+  const chosen = REPORT_SECTIONS.filter((s) => prefs.sections.includes(s.id) && tables[s.id]);
+  const toggle = (id) => onChange((p) => ({ ...p, sections: p.sections.includes(id) ? p.sections.filter((x) => x !== id) : [...p.sections, id] }));
+
+  function loadLogo(file) {
+    if (!file) return;
+    if (!file.type.startsWith("image/")) return onStatus(`⚠️ "${file.name}" is not an image`);
+    const reader = new FileReader();
+    reader.onload = () => onChange((p) => ({ ...p, logo: reader.result }));
+    reader.readAsDataURL(file);
+  }
+
+  useEffect(() => {
+    if (!job || !docRef.current) return;
+    const opt = {
+      margin: [0.6, 0.5, 0.6, 0.5],
+      filename: `NetSuite_BI_${job.date}.pdf`,
+      image: { type: "jpeg", quality: 0.98 },
+      html2canvas: { scale: 2 },
+      jsPDF: { unit: "in", format: "letter", orientation: "portrait" },
+      pagebreak: { mode: ["css", "legacy"], before: ".report-break", avoid: ["tr", ".report-kpi"] },
+    };
+    html2pdf().set(opt).from(docRef.current).toPdf().get("pdf")
+      .then((pdf) => {
+        const pages = pdf.internal.getNumberOfPages();
+        for (let i = 1; i <= pages; i++) {
+          pdf.setPage(i);
+          pdf.setFontSize(8);
+          pdf.setTextColor(120);
+          pdf.text(`${job.title} · ${job.date}`, 0.5, 0.35);
+          pdf.text(`Page ${i} of ${pages}`, 8, 10.65, { align: "right" });
+        }
+      })
+      .save()
+      .then(() => onStatus(`✅ PDF report saved (${job.sections.length} sections)`))
+      .catch((e) => onStatus(`⚠️ PDF export failed: ${e.message}`))
+      .finally(() => setJob(null));
+  }, [job, onStatus]);
+
+  function exportWorkbook() {
+    writeWorkbook(`NetSuite_BI_${date}.xlsx`, chosen.map((s) => ({ name: s.label, rows: tableToRows(tables[s.id]) })));
+    onStatus(`✅ Excel workbook saved (${chosen.length} sheets)`);
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="flex flex-col gap-1 flex-1 min-w-[220px]">
+          <span className="text-xs text-gray-600">Report title</span>
+          <input className="border rounded-lg px-2 py-1" value={prefs.title} onChange={(e) => onChange((p) => ({ ...p, title: e.target.value }))} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Report date</span>
+          <input type="date" className="border rounded-lg px-2 py-1" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Company logo</span>
+          <input type="file" accept="image/*" className="text-xs" onChange={(e) => { loadLogo(e.target.files?.[0]); e.target.value = ""; }} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">PDF rows per table</span>
+          <select className="border rounded-lg px-2 py-1" value={prefs.pdfRows} onChange={(e) => onChange((p) => ({ ...p, pdfRows: Number(e.target.value) }))}>
+            {REPORT_PDF_ROW_OPTIONS.map((n) => <option key={n} value={n}>{n ? fmtInt(n) : "All"}</option>)}
+          </select>
+        </label>
+        {prefs.logo && (
+          <span className="flex items-center gap-1">
+            <img src={prefs.logo} alt="Logo" className="h-8" />
+            <button className="text-gray-400 hover:text-red-600" title="Remove logo" onClick={() => onChange((p) => ({ ...p, logo: null }))}>✕</button>
+          </span>
         )}
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {REPORT_SECTIONS.map((s) => (
+          <label key={s.id} className={`flex items-center gap-1 ${tables[s.id] ? "" : "text-gray-400"}`} title={tables[s.id] ? "" : "Upload the matching data to include this section"}>
+            <input type="checkbox" checked={prefs.sections.includes(s.id)} disabled={!tables[s.id]} onChange={() => toggle(s.id)} /> {s.label}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" disabled={!chosen.length || !!job} onClick={() => setJob({ date, title: prefs.title, logo: prefs.logo, sections: chosen, tables: Object.fromEntries(chosen.map((s) => [s.id, tables[s.id]])), maxRows: prefs.pdfRows })}>{job ? "Building PDF…" : "📄 Executive PDF"}</button>
+        <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50" disabled={!chosen.length} onClick={exportWorkbook}>📊 Excel Workbook</button>
+      </div>
+      {job && (
+        <div style={{ position: "fixed", left: -10000, top: 0 }} aria-hidden>
+          <div ref={docRef} style={{ width: "7.5in" }} className="bg-white text-gray-900 text-[11px]">
+            <ReportDocument title={job.title} date={job.date} logo={job.logo} sections={job.sections} tables={job.tables} maxRows={job.maxRows} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-        <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
-          <h3 className="font-semibold mb-2">📄 Export & Utilities</h3>
-          <div className="flex flex-wrap gap-2">
-            <button className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={exportPDF}>📄 Export PDF</button>
-            <button className="px-3 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-900" onClick={()=>window.print()}>🖨️ Print</button>
+function ReportDocument({ title, date, logo, sections, tables, maxRows }) {
+  const { fmtCurrency } = useMoney();
+  return (
+    <div>
+      <div className="flex items-center justify-between border-b-2 border-gray-800 pb-2 mb-4">
+        <div>
+          <h1 className="text-2xl font-bold">{title}</h1>
+          <div className="text-gray-600">{new Date(`${date}T00:00:00`).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}</div>
+        </div>
+        {logo && <img src={logo} alt="" style={{ maxHeight: 60, maxWidth: 200 }} />}
+      </div>
+      {sections.map((s, i) => {
+        const t = tables[s.id];
+        return (
+          <div key={s.id} className={i > 0 ? "report-break" : ""}>
+            <h2 className="text-lg font-semibold mb-2">{t.title}</h2>
+            {t.kpis ? (
+              <div className="grid grid-cols-2 gap-2">
+                {t.kpis.map((k) => (
+                  <div key={k.label} className="report-kpi border rounded p-2">
+                    <div className="text-base font-bold">{formatCell(k.value, k.format, fmtCurrency)}</div>
+                    <div className="text-gray-500">{k.label}</div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <>
+                <table className="w-full border-collapse">
+                  <thead>
+                    <tr className="bg-gray-800 text-white">
+                      {t.columns.map((c) => <th key={c.key} className={`px-1 py-1 ${c.format === "text" ? "text-left" : "text-right"}`}>{c.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(maxRows ? t.rows.slice(0, maxRows) : t.rows).map((r, n) => (
+                      <tr key={n} className={n % 2 ? "bg-gray-50" : ""}>
+                        {t.columns.map((c) => <td key={c.key} className={`px-1 py-0.5 border-b ${c.format === "text" ? "" : "text-right"}`}>{formatCell(r[c.key], c.format, fmtCurrency)}</td>)}
+                      </tr>
+                    ))}
+                    {maxRows > 0 && t.rows.length > maxRows && (
+                      <tr><td colSpan={t.columns.length} className="px-1 py-1 font-semibold">… {fmtInt(t.rows.length - maxRows)} more rows not shown (top {fmtInt(maxRows)} of {fmtInt(t.rows.length)}); the Excel workbook has the full list.</td></tr>
+                    )}
+                  </tbody>
+                </table>
+                {!t.rows.length && <div className="text-gray-500 mt-1">Nothing to report.</div>}
+              </>
+            )}
           </div>
-        </section>
+        );
+      })}
+    </div>
+  );
+}
+
+const PLANNER_PAGE_SIZE = 25;
 
-        <footer className="text-center text-white/90 text-xs pb-6">Data stays in your browser · {new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}</footer>
+function LiquidationPlanner({ plan, result, holdingCostRate, onChange, onExport, onOpenItem }) {
+  const { fmtCurrency } = useMoney();
+  const [showAll, setShowAll] = useState(false);
+  const { rows, totals } = result;
+  const setDefault = (group, patch) => onChange((p) => ({ ...p, defaults: { ...p.defaults, [group]: { ...p.defaults[group], ...patch } } }));
+  const setItem = (code, patch) => onChange((p) => ({ ...p, items: { ...p.items, [code]: { ...p.items[code], ...patch } } }));
+  const resetItem = (code) => onChange((p) => ({ ...p, items: Object.fromEntries(Object.entries(p.items).filter(([c]) => c !== code)) }));
+  const actionSelect = (value, onSelect) => (
+    <select className="border rounded px-1 py-0.5" value={value} onChange={(e) => onSelect(e.target.value)}>
+      {Object.entries(LIQUIDATION_ACTIONS).map(([k, a]) => <option key={k} value={k}>{a.label}</option>)}
+    </select>
+  );
+  const pctInput = (action, value, onValue) => (
+    <input type="number" min="0" max="100" step="any" disabled={!LIQUIDATION_ACTIONS[action].pctLabel} title={LIQUIDATION_ACTIONS[action].pctLabel || ""}
+      className="border rounded px-1 py-0.5 w-16 disabled:opacity-40" value={Math.round(value * 1000) / 10} onChange={(e) => onValue(Math.min(Math.max(Number(e.target.value) || 0, 0), 100) / 100)} />
+  );
+  const exportRows = () => rows.map((r) => ({
+    itemCode: r.itemCode, fullItem: r.fullItem, group: r.group, Quantity: r.Quantity, unitCost: r.unitCost, unitPrice: r.unitPrice, tiedUp: Math.round(r.tiedUp * 100) / 100,
+    action: LIQUIDATION_ACTIONS[r.action].label, pct: LIQUIDATION_ACTIONS[r.action].pctLabel ? Math.round(r.pct * 1000) / 10 : "",
+    cashRecovered: Math.round(r.cashRecovered * 100) / 100, writeOff: Math.round(r.writeOff * 100) / 100, marginGiveUp: Math.round(r.marginGiveUp * 100) / 100, holdingSaved: Math.round(r.holdingSaved * 100) / 100,
+  }));
+  if (!rows.length) return null;
+  return (
+    <div className="mt-4">
+      <h4 className="font-semibold mb-1">🏷️ Liquidation Plan</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        Markdown and bundle sell through at the discounted list price; return to vendor recovers cost less the restocking fee; scrap recovers the salvage share of cost.
+        Write-off is the shortfall below cost. Holding cost saved is {fmtPct(holdingCostRate * 100)} of the cost taken off the books, per year.
+      </p>
+      <div className="grid sm:grid-cols-2 md:grid-cols-5 gap-2 mb-3">
+        <MetricCard label="Tied up" value={fmtCurrency(totals.tiedUp)} />
+        <MetricCard label={`Cash recovered (${fmtPct(totals.recoveryPct)})`} value={fmtCurrency(totals.cashRecovered)} />
+        <MetricCard label="Write-off" value={fmtCurrency(totals.writeOff)} />
+        <MetricCard label="Margin given up" value={fmtCurrency(totals.marginGiveUp)} />
+        <MetricCard label="Holding cost saved / yr" value={fmtCurrency(totals.holdingSaved)} />
+      </div>
+      <div className="flex flex-wrap gap-4 text-sm mb-2">
+        {["slow", "dead"].map((group) => (
+          <label key={group} className="flex items-center gap-2">
+            <span className="text-gray-600">Default for {group === "dead" ? "dead stock" : "slow movers"}:</span>
+            {actionSelect(plan.defaults[group].action, (action) => setDefault(group, { action, pct: LIQUIDATION_ACTIONS[action].defaultPct }))}
+            {pctInput(plan.defaults[group].action, plan.defaults[group].pct, (pct) => setDefault(group, { pct }))}%
+          </label>
+        ))}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead><tr className="text-left text-gray-500">
+            <th className="py-1">Item</th><th>Group</th><th className="text-right">Tied up</th><th>Action</th><th>%</th>
+            <th className="text-right">Cash</th><th className="text-right">Write-off</th><th className="text-right">Margin hit</th><th className="text-right">Holding saved</th><th />
+          </tr></thead>
+          <tbody>
+            {(showAll ? rows : rows.slice(0, PLANNER_PAGE_SIZE)).map((r) => (
+              <tr key={r.itemCode} className={`border-t ${r.custom ? "bg-amber-50" : ""}`}>
+                <td className="py-1"><ItemLink code={r.itemCode} onOpen={onOpenItem} /></td>
+                <td>{r.group}</td>
+                <td className="text-right">{fmtCurrency(r.tiedUp)}</td>
+                <td>{actionSelect(r.action, (action) => setItem(r.itemCode, { action, pct: undefined }))}</td>
+                <td>{pctInput(r.action, r.pct, (pct) => setItem(r.itemCode, { pct }))}</td>
+                <td className="text-right">{fmtCurrency(r.cashRecovered)}</td>
+                <td className="text-right">{fmtCurrency(r.writeOff)}</td>
+                <td className="text-right">{fmtCurrency(r.marginGiveUp)}</td>
+                <td className="text-right">{fmtCurrency(r.holdingSaved)}</td>
+                <td>{r.custom && <button className="text-gray-400 hover:text-red-600" title="Use the group default" onClick={() => resetItem(r.itemCode)}>✕</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {rows.length > PLANNER_PAGE_SIZE && (
+          <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={() => setShowAll((v) => !v)}>{showAll ? "Show fewer" : `Show all ${fmtInt(rows.length)} items`}</button>
+        )}
+        <button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("liquidation_plan.csv", exportRows())}>⬇️ Export Liquidation Plan CSV</button>
       </div>
     </div>
   );
 }
 
-// ---- UI helpers ----
+const PRICING_TOP_ROWS = 15;
+const toPctInput = (v) => (v == null || v === "" ? "" : Math.round(v * 1000) / 10);
+const fromInput = (s, scale = 1) => (s === "" ? undefined : Number(s) / scale);
+
+function PricingWorkbench({ items, pricing, targetMargin, onChange, onExport, onOpenItem }) {
+  const { fmtCurrency } = useMoney();
+  const [newCode, setNewCode] = useState("");
+  const [inputError, setInputError] = useState("");
+  const sim = useMemo(() => simulatePricing(items, pricing, targetMargin), [items, pricing, targetMargin]);
+  const itemCodes = useMemo(() => new Set(items.map((i) => i.itemCode)), [items]);
+  const setRule = (scope, key, field, value) =>
+    onChange((p) => ({ ...p, [scope]: { ...p[scope], [key]: { ...p[scope]?.[key], [field]: value } } }));
+  const removeItem = (code) => onChange((p) => ({ ...p, items: Object.fromEntries(Object.entries(p.items).filter(([c]) => c !== code)) }));
+  const addItem = () => {
+    const code = newCode.trim();
+    if (!itemCodes.has(code)) return;
+    setRule("items", code, "elasticity", pricing.items[code]?.elasticity);
+    setNewCode("");
+  };
+  // positive values are refused with a message, so the elasticity shown is the one simulated
+  const setElasticity = (scope, key, text) => {
+    const v = fromInput(text);
+    if (!isValidElasticity(v)) return setInputError(`Elasticity must be 0 or negative (volume falls as price rises); ${text} was not applied.`);
+    setInputError("");
+    setRule(scope, key, "elasticity", v);
+  };
+  const ruleInputs = (scope, key) => {
+    const r = pricing[scope]?.[key] || {};
+    return (
+      <>
+        <input type="number" step="0.1" max="0" placeholder="elasticity" className="border rounded px-2 py-1" value={r.elasticity ?? ""} onChange={(e) => setElasticity(scope, key, e.target.value)} />
+        <input type="number" step="any" placeholder={`${toPctInput(targetMargin)}%`} className="border rounded px-2 py-1" value={toPctInput(r.targetMargin)} onChange={(e) => setRule(scope, key, "targetMargin", fromInput(e.target.value, 100))} />
+        <input type="number" step="any" min={MIN_CHANGE_PCT * 100} placeholder="to target" className="border rounded px-2 py-1" value={toPctInput(r.changePct)} onChange={(e) => { const v = fromInput(e.target.value, 100); setRule(scope, key, "changePct", v === undefined ? v : clampChangePct(v)); }} />
+      </>
+    );
+  };
+  const compare = [
+    ["Revenue", "revenue", fmtCurrency],
+    ["Profit", "profit", fmtCurrency],
+    ["Volume (units/yr)", "volume", (v) => fmtInt(Math.round(v))],
+  ];
+  const exportRows = () => sim.rows.map((r) => ({
+    itemCode: r.itemCode, fullItem: r.fullItem, itemType: r.itemType, unitCost: r.unitCost,
+    currentPrice: r.currentPrice, proposedPrice: Math.round(r.proposedPrice * 100) / 100, priceChangePct: Math.round(r.priceChangePct * 10) / 10,
+    currentMargin: Math.round(r.currentMargin * 10) / 10, proposedMargin: Math.round(r.proposedMargin * 10) / 10, elasticity: r.elasticity, ruleSource: r.ruleSource,
+    currentVolume: r.currentVolume, projectedVolume: Math.round(r.projectedVolume), currentProfit: Math.round(r.currentProfit), projectedProfit: Math.round(r.projectedProfit),
+  }));
+  return (
+    <section className="bg-white/95 rounded-2xl p-4 shadow border border-white/30">
+      <h3 className="font-semibold mb-1">🏷️ Pricing Workbench</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Volume responds to price with constant elasticity (−1.5 means a 10% increase loses ~15% of units). Each item takes its own price rule, then its category's, then the global target margin; elasticity falls through the same way on its own. Price cuts stop at −95%.
+        Leave "change %" blank to raise prices to the target margin; prices are never lowered unless you enter a negative change or an explicit price.
+      </p>
+      {inputError && <p className="text-xs text-rose-600 mb-3">⚠️ {inputError}</p>}
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="font-semibold mb-2">Category rules</h4>
+          <div className="grid grid-cols-[90px_1fr_1fr_1fr] gap-2 items-center text-xs text-gray-500 mb-1">
+            <span /><span>Elasticity</span><span>Target margin %</span><span>Change %</span>
+          </div>
+          {Object.keys(DEFAULT_LEAD_TIMES).map((type) => (
+            <div key={`pc-${type}`} className="grid grid-cols-[90px_1fr_1fr_1fr] gap-2 items-center mb-1">
+              <span>{type}</span>{ruleInputs("categories", type)}
+            </div>
+          ))}
+          <h4 className="font-semibold mt-3 mb-2">Item rules ({fmtInt(Object.keys(pricing.items).length)})</h4>
+          <div className="max-h-48 overflow-y-auto">
+            {Object.keys(pricing.items).map((code) => (
+              <div key={`pi-${code}`} className="grid grid-cols-[90px_1fr_1fr_1fr_1fr_24px] gap-2 items-center mb-1">
+                <ItemLink code={code} onOpen={onOpenItem} />
+                {ruleInputs("items", code)}
+                <input type="number" min="0" step="any" placeholder="price" className="border rounded px-2 py-1" value={pricing.items[code]?.price ?? ""} onChange={(e) => setRule("items", code, "price", fromInput(e.target.value))} />
+                <button className="text-gray-400 hover:text-red-600" title="Remove rule" onClick={() => removeItem(code)}>✕</button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2 mt-2">
+            <input list="pricing-items" placeholder="Item code" className="border rounded px-2 py-1 flex-1" value={newCode} onChange={(e) => setNewCode(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addItem()} />
+            <datalist id="pricing-items">{sim.rows.slice(0, 200).map((r) => <option key={r.itemCode} value={r.itemCode} />)}</datalist>
+            <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300 disabled:opacity-50" disabled={!itemCodes.has(newCode.trim())} onClick={addItem}>Add item rule</button>
+            <button className="px-2 py-1 rounded bg-gray-200 text-xs hover:bg-gray-300" onClick={() => onChange(DEFAULT_PRICING)}>Reset</button>
+          </div>
+        </div>
+        <div>
+          <h4 className="font-semibold mb-2">Today vs. proposed ({fmtInt(sim.changed)} prices changed)</h4>
+          <table className="w-full text-sm">
+            <thead><tr className="text-left text-gray-500 text-xs"><th /><th className="text-right">Today</th><th className="text-right">Proposed</th><th className="text-right">Change</th></tr></thead>
+            <tbody>
+              {compare.map(([label, key, fmt]) => {
+                const before = sim.current[key];
+                const after = sim.projected[key];
+                return (
+                  <tr key={key} className="border-t">
+                    <td className="py-1">{label}</td>
+                    <td className="text-right">{fmt(before)}</td>
+                    <td className="text-right font-semibold">{fmt(after)}</td>
+                    <td className={`text-right ${after >= before ? "text-emerald-700" : "text-red-600"}`}>{before ? fmtPct(((after - before) / before) * 100) : "—"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <h4 className="font-semibold mt-3 mb-1">Largest profit swings</h4>
+          <div className="max-h-56 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead><tr className="text-left text-gray-500"><th>Item</th><th className="text-right">Price</th><th className="text-right">Units/yr</th><th className="text-right">Profit Δ</th></tr></thead>
+              <tbody>
+                {sim.rows.slice(0, PRICING_TOP_ROWS).map((r) => (
+                  <tr key={r.itemCode} className="border-t">
+                    <td className="py-1"><ItemLink code={r.itemCode} onOpen={onOpenItem} /></td>
+                    <td className="text-right">{fmtCurrency(r.currentPrice)} → {fmtCurrency(r.proposedPrice)}</td>
+                    <td className="text-right">{fmtInt(r.currentVolume)} → {fmtInt(Math.round(r.projectedVolume))}</td>
+                    <td className={`text-right ${r.profitDelta >= 0 ? "text-emerald-700" : "text-red-600"}`}>{fmtCurrency(r.profitDelta)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <div className="mt-3"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport("proposed_price_list.csv", exportRows())}>⬇️ Export Proposed Price List CSV</button></div>
+    </section>
+  );
+}
+
+const FORECAST_LABELS = { "holt-winters": "Holt-Winters (seasonal)", holt: "damped Holt (trend)", average: "monthly average (sparse history)", flat: "flat annual rate (no dated sales)" };
+
+function ItemDetail({ code, item, salesMap, salesLines, lineItems, settings, onClose }) {
+  const { fmtCurrency } = useMoney();
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const poHistory = useMemo(
+    () => lineItems
+      .filter((l) => String(l.item).split(" : ")[0].trim() === code)
+      .map((l) => ({ ...l, when: toDate(l.date), unitCost: l.quantity > 0 ? l.totalCost / l.quantity : null }))
+      .sort((a, b) => (b.when?.getTime() || 0) - (a.when?.getTime() || 0)),
+    [lineItems, code]
+  );
+
+  const demand = useMemo(() => (item?.salesKey ? itemDemandChart(salesLines, item.salesKey) : null), [salesLines, item?.salesKey]);
+  const sale = item?.salesKey ? salesMap[item.salesKey] : null;
+  const match = item ? salesMatchKind(item) : null;
+  const holdingCost = item ? item.unitCost * settings.holdingCostRate : 0;
+  const eoqByFormula = item && holdingCost > 0 && item.annualDemand > 0;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex justify-end" onClick={onClose}>
+      <div className="bg-white w-full max-w-xl h-full overflow-y-auto p-5 shadow-xl space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <h3 className="text-xl font-semibold">{code}</h3>
+            {item && <p className="text-sm text-gray-600">{item.fullItem} · {item.itemType}</p>}
+          </div>
+          <button className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" onClick={onClose}>✕</button>
+        </div>
+
+        {!item && <Insight color="border-amber-500">This item is not in the currently loaded cost data.</Insight>}
+
+        {item && (
+          <>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <DetailStat label="Unit cost" value={fmtCurrency(item.unitCost)} />
+              <DetailStat label="Unit price" value={fmtCurrency(item.unitPrice)} />
+              <DetailStat label="Margin" value={fmtPct(item.profitMargin)} />
+              <DetailStat label="Profit / unit" value={fmtCurrency(item.profitPerUnit)} />
+              <DetailStat label="On hand" value={fmtInt(item.Quantity)} />
+              <DetailStat label="Inventory value" value={fmtCurrency(item.totalCost)} />
+              <DetailStat label="Days of inventory" value={isFinite(item.daysOfInventory) ? fmtInt(Math.round(item.daysOfInventory)) : "∞ (no sales)"} />
+              <DetailStat label="Primary supplier" value={item.supplier || "—"} />
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">🔗 Sales Match</h4>
+              {sale ? (
+                <Insight color="border-emerald-600">
+                  Matched <b>{item.salesKey}</b> by {SALES_MATCH_LABELS[match]} · {fmtInt(sale.totalQtySold)} sold · {fmtCurrency(sale.totalRevenue)} revenue{sale.description ? ` · ${sale.description}` : ""}
+                </Insight>
+              ) : (
+                <Insight color="border-red-600">No sales record found. Tried <code>{code}</code>, <code>{code}-New</code>, <code>{code}-ReCert</code> and <code>{item.fullItem}</code>.</Insight>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">📈 Demand & Forecast</h4>
+              <p className="text-xs text-gray-600 mb-1">
+                Method: {FORECAST_LABELS[item.forecastMethod]}
+                {item.forecastMAE != null && ` · MAE ${item.forecastMAE.toFixed(1)} units/month`}
+                {item.forecastMAPE != null && ` · MAPE ${fmtPct(item.forecastMAPE)}`}
+              </p>
+              {demand ? (
+                <div className="h-48">
+                  <ResponsiveContainer>
+                    <ComposedChart data={demand.rows} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" tick={{ fontSize: 10 }} />
+                      <YAxis tick={{ fontSize: 10 }} />
+                      <Tooltip formatter={(v) => (Array.isArray(v) ? v.map((x) => Math.round(x)).join(" – ") : Math.round(v))} />
+                      <Area dataKey="band" name="80% band" stroke="none" fill="#c4b5fd" fillOpacity={0.5} />
+                      <Line dataKey="actual" name="Actual" stroke="#2563eb" strokeWidth={2} dot={false} />
+                      <Line dataKey="forecast" name="Forecast" stroke="#7c3aed" strokeWidth={2} strokeDasharray="4 3" dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              ) : <div className="text-sm text-gray-500">No dated sales lines for this item.</div>}
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-1">📐 Reorder Point & EOQ</h4>
+              <div className="text-sm space-y-1 bg-gray-50 rounded-md p-3 font-mono">
+                {item.forecastMethod === "flat" ? (
+                  <div>daily demand = {fmtInt(item.annualSales)} ÷ 365 = {item.dailySales.toFixed(2)}</div>
+                ) : (
+                  <div>daily demand = next 3 months forecast ÷ 3 ÷ {(365 / 12).toFixed(1)} = {item.dailySales.toFixed(2)}</div>
+                )}
+                <div>lead time = {item.leadTimeDays} days ({item.leadTimeSource})</div>
+                {item.safetyMethod === "service" ? (
+                  <div>safety stock = z({fmtPct(item.serviceLevel * 100)}) {zScore(item.serviceLevel).toFixed(2)} × σ {item.monthlySD.toFixed(1)}/mo × √({item.leadTimeDays} ÷ {(365 / 12).toFixed(1)}) = {item.safetyStock.toFixed(1)}</div>
+                ) : (
+                  <div>safety stock = {item.dailySales.toFixed(2)} × {item.safetyDays} days = {item.safetyStock.toFixed(1)}</div>
+                )}
+                <div>reorder point = {item.dailySales.toFixed(2)} × {item.leadTimeDays} + {item.safetyStock.toFixed(1)} = {item.reorderPoint.toFixed(1)}</div>
+                {eoqByFormula ? (
+                  <div>EOQ = √(2 × {fmtInt(Math.round(item.annualDemand))} × {fmtCurrency(settings.orderingCost)} ÷ {fmtCurrency(holdingCost)}) = {fmtInt(item.eoq)}</div>
+                ) : (
+                  <div>EOQ = 3 months of demand = {fmtInt(item.eoq)} (no holding cost or sales for the formula)</div>
+                )}
+                <div>days until stockout = {isFinite(item.daysUntilStockout) ? Math.round(item.daysUntilStockout) : "∞"}</div>
+              </div>
+            </div>
+          </>
+        )}
+
+        <div>
+          <h4 className="font-semibold mb-1">🧾 PO History ({fmtInt(poHistory.length)})</h4>
+          {poHistory.length ? (
+            <table className="w-full text-xs">
+              <thead><tr className="border-b text-left"><th className="py-1">Date</th><th>Supplier</th><th className="text-right">Qty</th><th className="text-right">Unit</th><th className="text-right">Total</th></tr></thead>
+              <tbody>
+                {poHistory.map((l, i) => (
+                  <tr key={`po-${i}`} className="border-b">
+                    <td className="py-1">{l.when ? l.when.toLocaleDateString("en-US") : "—"}</td>
+                    <td>{l.supplier}</td>
+                    <td className="text-right">{fmtInt(l.quantity)}</td>
+                    <td className="text-right">{l.unitCost != null ? fmtCurrency(l.unitCost) : "—"}</td>
+                    <td className="text-right">{fmtCurrency(l.totalCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <div className="text-sm text-gray-500">No PO lines for this item.</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DetailStat({ label, value }) {
+  return (
+    <div className="bg-gray-50 rounded-md px-3 py-2">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="font-semibold">{value}</div>
+    </div>
+  );
+}
+
+function ItemLink({ code, onOpen }) {
+  return <button type="button" className="font-bold hover:underline hover:text-blue-700" onClick={() => onOpen(code)}>{code}</button>;
+}
+
 function MetricCard({ label, value }) {
   return (
     <div className="bg-white/95 rounded-2xl p-4 shadow border border-white/30 text-center hover:-translate-y-0.5 transition-transform">
@@ -544,18 +2425,41 @@ function MetricCard({ label, value }) {
     </div>
   );
 }
-function FilePick({ label, accept, onFile, color="bg-blue-600" }) {
+function FilePick({ label, accept, onFile, color="bg-blue-600", multiple=false }) {
   const ref = useRef(null);
   return (
     <div className="flex items-stretch gap-2">
       <button type="button" className={`text-white ${color} hover:opacity-90 px-3 py-2 rounded-lg w-full`} onClick={() => ref.current?.click()}>{label}</button>
-      <input ref={ref} type="file" accept={accept} className="hidden" onChange={(e)=>e.target.files?.[0] && onFile(e.target.files[0])} />
+      <input ref={ref} type="file" accept={accept} multiple={multiple} className="hidden" onChange={(e)=>{ const files = Array.from(e.target.files || []); if (files.length) onFile(multiple ? files : files[0]); e.target.value = ""; }} />
     </div>
   );
 }
 function Badge({ ok, label }) {
   return <span className={`px-2 py-1 rounded text-xs font-semibold ${ok ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700"}`}>{label}: {ok ? "Loaded" : "Not Loaded"}</span>;
 }
+function NumField({ label, value, onChange }) {
+  return (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs text-gray-600">{label}</span>
+      <input type="number" min="0" step="any" className="border rounded-lg px-2 py-1" value={value} onChange={(e) => onChange(Math.max(0, Number(e.target.value) || 0))} />
+    </label>
+  );
+}
+function DiffList({ title, rows, color, filename, onExport, onOpenItem }) {
+  const { fmtCurrency } = useMoney();
+  return (
+    <div>
+      <h4 className="font-semibold mb-2">{title} ({fmtInt(rows.length)} · {fmtCurrency(sum(rows.map((r) => r.totalCost)))})</h4>
+      <div className="space-y-2">
+        {rows.slice(0, 8).map((r) => (
+          <Insight key={`${filename}-${r.itemCode}`} color={color}><ItemLink code={r.itemCode} onOpen={onOpenItem} />: {fmtCurrency(r.totalCost)} · {fmtInt(r.Quantity)} qty</Insight>
+        ))}
+        {!rows.length && <div className="text-sm text-gray-500">None.</div>}
+      </div>
+      {rows.length > 0 && <div className="mt-2"><button className="px-3 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700" onClick={() => onExport(filename, rows)}>⬇️ Export CSV</button></div>}
+    </div>
+  );
+}
 function Insight({ children, color="border-blue-500" }) {
   return <div className={`border-l-4 ${color} bg-gray-50 rounded-md px-3 py-2 text-sm`}>{children}</div>;
 }
\ No newline at end of file
@@ -0,0 +1,1697 @@
+// Pure data engine: table parsing, column mapping and the inventory / pricing / customer / supplier
+// analytics. No React and no DOM, so it runs in the Web Worker (engine.worker.js) and under Vitest.
+
+// ---------- utils ----------
+export const sum = (arr) => arr.reduce((a, b) => a + (Number(b) || 0), 0);
+export const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + (Number(b) || 0), 0) / arr.length : 0);
+const lowerKeys = (obj) => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [String(k).toLowerCase().trim(), v]));
+export const pick = (obj, keys) => {
+  const l = lowerKeys(obj);
+  for (const k of keys) {
+    const v = l[String(k).toLowerCase().trim()];
+    if (v !== undefined) return v;
+  }
+  // contains match
+  for (const k of Object.keys(l)) {
+    if (keys.some((cand) => k.includes(String(cand).toLowerCase().trim()))) return l[k];
+  }
+  return undefined;
+};
+
+export const isReCert = (s) => /ReCert/i.test(String(s || ""));
+export const DAY_MS = 86400000;
+// NetSuite dates arrive as "8/15/2025" strings (CSV), Excel serials (XLS/XLSX raw) or Date objects.
+export const toDate = (v) => {
+  if (v == null || v === "") return null;
+  if (v instanceof Date) return isNaN(v) ? null : v;
+  if (typeof v === "number") {
+    if (v > 20000 && v < 80000) return new Date(Math.round((v - 25569) * DAY_MS)); // Excel serial
+    return null;
+  }
+  const d = new Date(String(v).trim());
+  return isNaN(d) ? null : d;
+};
+// YYYY-MM-DD from the local date parts (toISOString would shift late-evening dates to the next UTC day)
+export const localDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// ---------- tables ----------
+export function findHeaderRow(rows, expectedHeaders) {
+  for (let i = 0; i < Math.min(rows.length, 30); i++) {
+    const r = (rows[i] || []).map((x) => String(x ?? "").toLowerCase());
+    const hits = expectedHeaders.filter((h) => r.includes(String(h).toLowerCase())).length;
+    if (hits >= Math.ceil(expectedHeaders.length * 0.5)) return i;
+  }
+  return 0;
+}
+
+export const headersAt = (rows, headerRow) => (rows[headerRow] || []).map((h) => String(h ?? "").trim());
+
+export function tableFrom(fileName, rows, headerRow) {
+  const body = rows.slice(headerRow + 1).filter((r) => r.some((v) => v !== "" && v != null));
+  return { file: fileName, headers: headersAt(rows, headerRow), rows: body, headerRow };
+}
+
+// ---------- column mapping ----------
+// Exact header match first, then the first header that contains a candidate. "how" records which
+// one won so the data-quality report can flag fuzzy matches.
+export function mapColumns(headers, spec, fields = null) {
+  if (fields) return columnsFromFields(headers, spec, fields);
+  const lower = headers.map((h) => String(h ?? "").toLowerCase().trim());
+  const resolve = (cands) => {
+    for (const c of cands) {
+      const i = lower.indexOf(c.toLowerCase().trim());
+      if (i !== -1) return { index: i, column: headers[i], how: "exact" };
+    }
+    for (let i = 0; i < lower.length; i++) {
+      if (lower[i] && cands.some((c) => lower[i].includes(c.toLowerCase().trim()))) return { index: i, column: headers[i], how: "contains" };
+    }
+    return { index: -1, column: null, how: "missing" };
+  };
+  return Object.fromEntries(Object.entries(spec).map(([field, cands]) => [field, resolve(cands)]));
+}
+
+// saved/manual mapping: field -> header name
+function columnsFromFields(headers, spec, fields) {
+  return Object.fromEntries(Object.keys(spec).map((field) => {
+    const i = fields[field] ? headers.indexOf(fields[field]) : -1;
+    return [field, i === -1 ? { index: -1, column: null, how: "missing" } : { index: i, column: headers[i], how: "manual" }];
+  }));
+}
+
+export const fieldsOf = (cols) => Object.fromEntries(Object.entries(cols).map(([f, c]) => [f, c.column]));
+export const headerSignature = (headers) => headers.map((h) => h.toLowerCase()).filter(Boolean).sort().join("|");
+
+const cell = (row, col) => (col.index === -1 ? undefined : row[col.index]);
+const isBlank = (v) => v == null || v === "";
+const entityOf = (row, cols) => ({
+  subsidiary: String(cell(row, cols.subsidiary) ?? "").trim(),
+  currency: String(cell(row, cols.currency) ?? "").trim().toUpperCase(),
+});
+
+// optional on every dataset; OneWorld exports carry them, single-entity exports don't
+const ENTITY_COLUMNS = { subsidiary: ["Subsidiary"], currency: ["Currency"] };
+
+export const COST_COLUMNS = {
+  item: ["Item"],
+  price: ["Average Item Rate"],
+  cost: ["Average of Est. Unit Cost"],
+  qty: ["Quantity", "Qty"],
+  ...ENTITY_COLUMNS,
+};
+export const SALES_COLUMNS = {
+  item: ["Item", "Inventory Item", "Item Name", "Product"],
+  desc: ["Description", "ItemDesc", "Name", "Memo"],
+  qty: ["Qty", "QtySold", "Quantity", "Quantity Sold"],
+  revenue: ["TotalRevenue", "Amount", "Total", "Net Amount", "Sales Amount"],
+  date: ["Date", "Trans Date", "Transaction Date"],
+  ...ENTITY_COLUMNS,
+};
+export const CUSTOMER_COLUMNS = {
+  customer: ["Customer", "Name"],
+  amount: ["Total", "Amount", "Net Amount", "TotalRevenue"],
+  item: ["Item", "Item Name", "Product"],
+  qty: ["Qty", "Quantity"],
+  date: ["Date"],
+  ...ENTITY_COLUMNS,
+};
+export const SUPPLIER_COLUMNS = {
+  vendor: ["Vendor", "Supplier", "Name"],
+  item: ["Item", "Item Name", "Product"],
+  total: ["TotalCost", "Amount", "Total", "Net Amount"],
+  qty: ["Quantity", "Qty"],
+  date: ["Receipt Date", "Date Received", "Date"],
+  ...ENTITY_COLUMNS,
+};
+
+// ---------- parsers ----------
+const MAX_ISSUE_ROWS = 500;
+
+const PROGRESS_EVERY = 5000;
+const tick = (onProgress, i, n) => onProgress && i % PROGRESS_EVERY === 0 && onProgress(i, n);
+
+function newReport(table, cols) {
+  return {
+    file: table.file, headerRow: table.headerRow + 1, totalRows: table.rows.length, kept: 0, dropped: {}, droppedRows: [],
+    columns: Object.entries(cols).map(([field, c]) => ({ field, column: c.column, how: c.how })),
+  };
+}
+
+function dropRow(report, i, reason) {
+  report.dropped[reason] = (report.dropped[reason] || 0) + 1;
+  // spreadsheet row number: header row + 1-based data offset
+  if (report.droppedRows.length < MAX_ISSUE_ROWS) report.droppedRows.push({ file: report.file, row: report.headerRow + i + 1, reason });
+}
+
+export function parseCostTable(table, fields = null, onProgress = null) {
+  const cols = mapColumns(table.headers, COST_COLUMNS, fields);
+  const report = newReport(table, cols);
+  const items = [];
+  table.rows.forEach((row, i) => {
+    tick(onProgress, i, table.rows.length);
+    const rawPrice = cell(row, cols.price);
+    const rawCost = cell(row, cols.cost);
+    if (isBlank(rawPrice)) return dropRow(report, i, "missing Average Item Rate");
+    if (isBlank(rawCost)) return dropRow(report, i, "missing Average of Est. Unit Cost");
+    const fullItem = String(cell(row, cols.item) || "");
+    report.kept++;
+    items.push(withCostTotals({
+      source: table.file,
+      fullItem,
+      itemCode: fullItem ? fullItem.split(" : ")[0] : "",
+      itemType: /ReCert/i.test(fullItem) ? "ReCert" : "New",
+      ...entityOf(row, cols),
+      unitPrice: Number(rawPrice) || 0,
+      unitCost: Number(rawCost) || 0,
+      Quantity: Number(cell(row, cols.qty)) || 0,
+    }));
+  });
+  return { items, report };
+}
+
+// margin and extended values from unitPrice, unitCost and Quantity
+export function withCostTotals(item) {
+  const { unitPrice, unitCost, Quantity: qty } = item;
+  const profitPerUnit = unitPrice > 0 ? unitPrice - unitCost : 0;
+  return {
+    ...item,
+    profitPerUnit,
+    profitMargin: unitPrice > 0 ? ((unitPrice - unitCost) / unitPrice) * 100 : 0,
+    totalProfit: profitPerUnit * qty,
+    totalRevenue: unitPrice * qty,
+    totalCost: unitCost * qty,
+  };
+}
+
+// salesMap: per-item totals; salesLines: the dated rows behind them (trends, forecasting)
+// breakdown keeps qty/revenue per subsidiary|currency so the totals can be re-scoped and converted later
+export function aggregateSales(rows) {
+  const byItem = {};
+  const lines = [];
+  for (const r of rows) {
+    const s = (byItem[r.item] ||= { item: r.item, description: r.description, totalQtySold: 0, totalRevenue: 0, breakdown: {} });
+    s.totalQtySold += r.qty;
+    s.totalRevenue += r.revenue;
+    const b = (s.breakdown[`${r.subsidiary}|${r.currency}`] ||= { subsidiary: r.subsidiary, currency: r.currency, qty: 0, revenue: 0 });
+    b.qty += r.qty;
+    b.revenue += r.revenue;
+    if (!isBlank(r.date)) lines.push({ item: r.item, date: r.date, qty: r.qty, revenue: r.revenue, subsidiary: r.subsidiary, currency: r.currency, source: r.source });
+  }
+  return { salesMap: byItem, salesLines: lines };
+}
+
+export function parseSalesTable(table, fields = null, onProgress = null) {
+  const cols = mapColumns(table.headers, SALES_COLUMNS, fields);
+  const report = newReport(table, cols);
+  const rows = [];
+  table.rows.forEach((row, i) => {
+    tick(onProgress, i, table.rows.length);
+    const item = String(cell(row, cols.item) ?? "").trim();
+    const qty = Number(cell(row, cols.qty)) || 0;
+    const revenue = Number(cell(row, cols.revenue)) || 0;
+    const desc = String(cell(row, cols.desc) ?? "");
+    const date = cell(row, cols.date);
+    if (!item) return dropRow(report, i, "missing item");
+    if (item === "Inventory Item") return dropRow(report, i, "repeated header row");
+    if (!(qty > 0)) return dropRow(report, i, "quantity ≤ 0");
+    report.kept++;
+    rows.push({ item, description: desc, qty, revenue, date, ...entityOf(row, cols), source: table.file });
+  });
+  return { rows, ...aggregateSales(rows), report };
+}
+
+// Sales by Customer Detail: "Total - <customer>" rows become customer totals and item lines become customer × item
+// detail. The customer is named on each line or on a group header row above its lines.
+export function parseCustomerTable(table, fields = null, onProgress = null) {
+  const cols = mapColumns(table.headers, CUSTOMER_COLUMNS, fields);
+  const report = newReport(table, cols);
+  const totals = [];
+  const lines = [];
+  let current = "";
+  table.rows.forEach((row, i) => {
+    tick(onProgress, i, table.rows.length);
+    const customer = String(cell(row, cols.customer) ?? "").trim();
+    const amount = Number(cell(row, cols.amount)) || 0;
+    const item = String(cell(row, cols.item) ?? "").trim();
+    if (/^total - /i.test(customer)) {
+      current = "";
+      if (!(amount > 0)) return dropRow(report, i, "amount ≤ 0");
+      report.kept++;
+      totals.push({ customer: customer.replace(/^total - /i, ""), totalRevenue: amount, ...entityOf(row, cols), sources: [table.file] });
+      return;
+    }
+    if (customer && !item) {
+      current = customer;
+      return dropRow(report, i, "customer group header");
+    }
+    const name = customer || current;
+    if (!item) return dropRow(report, i, "detail line without item");
+    if (!name) return dropRow(report, i, "detail line without customer");
+    report.kept++;
+    lines.push({ customer: name, item, qty: Number(cell(row, cols.qty)) || 0, amount, date: cell(row, cols.date), ...entityOf(row, cols), source: table.file });
+  });
+  totals.sort((a, b) => b.totalRevenue - a.totalRevenue);
+  return { customers: totals, lines, report };
+}
+
+// PO Details: "Total - <vendor>" rows become supplier totals, the rest are PO lines.
+export function parseSupplierTable(table, fields = null, onProgress = null) {
+  const cols = mapColumns(table.headers, SUPPLIER_COLUMNS, fields);
+  const report = newReport(table, cols);
+  const suppliers = [];
+  const lineItems = [];
+  table.rows.forEach((row, i) => {
+    tick(onProgress, i, table.rows.length);
+    const vendor = String(cell(row, cols.vendor) ?? "");
+    const item = String(cell(row, cols.item) ?? "");
+    const total = Number(cell(row, cols.total)) || 0;
+    const qty = Number(cell(row, cols.qty)) || 0;
+    if (/^total - /i.test(vendor)) {
+      if (!(total > 0)) return dropRow(report, i, "vendor total ≤ 0");
+      report.kept++;
+      suppliers.push({ supplier: vendor.replace(/^total - /i, ""), totalCost: total, totalQuantity: qty, ...entityOf(row, cols), sources: [table.file] });
+      return;
+    }
+    if (!vendor) return dropRow(report, i, "missing vendor");
+    if (!item) return dropRow(report, i, "missing item");
+    if (!(total > 0)) return dropRow(report, i, "amount ≤ 0");
+    report.kept++;
+    lineItems.push({ supplier: vendor, item, totalCost: total, quantity: qty, date: cell(row, cols.date), ...entityOf(row, cols), source: table.file });
+  });
+  suppliers.sort((a, b) => b.totalCost - a.totalCost);
+  return { suppliers, lineItems, report };
+}
+
+// ---------- datasets ----------
+export const DATASETS = {
+  cost: { label: "Item Cost", columns: COST_COLUMNS, required: ["item", "price", "cost"], expected: ["item", "average item rate", "average of est. unit cost", "quantity"], parse: parseCostTable },
+  sales: { label: "Sales by Item", columns: SALES_COLUMNS, required: ["item", "qty"], expected: ["item", "qty", "quantity", "amount", "total", "description"], parse: parseSalesTable },
+  customer: { label: "Sales by Customer", columns: CUSTOMER_COLUMNS, required: ["customer", "amount"], expected: ["customer", "amount", "total", "net amount"], parse: parseCustomerTable },
+  supplier: { label: "PO Details", columns: SUPPLIER_COLUMNS, required: ["vendor", "item", "total"], expected: ["vendor", "supplier", "item", "quantity", "amount", "total"], parse: parseSupplierTable },
+};
+
+// sheets whose first rows contain the dataset's expected headers
+function sheetsWithHeaders(kind, book) {
+  const { expected } = DATASETS[kind];
+  return book.sheetNames.filter((n) => {
+    const rows = book.sheets[n];
+    const hr = findHeaderRow(rows, expected);
+    const r = headersAt(rows, hr).map((h) => h.toLowerCase());
+    return expected.filter((h) => r.includes(h)).length >= Math.ceil(expected.length * 0.5);
+  });
+}
+
+// Sheets + header row + column mapping the parser will use. sheetName is the primary sheet (its
+// header row is the one shown and edited in the wizard); other sheets find their own header row.
+export function autoMapping(kind, book) {
+  const found = sheetsWithHeaders(kind, book);
+  const sheets = found.length ? found : [book.sheetNames[0]];
+  const sheetName = sheets[0];
+  const rows = book.sheets[sheetName];
+  const headerRow = findHeaderRow(rows, DATASETS[kind].expected);
+  return { sheetName, sheets, headerRow, fields: fieldsOf(mapColumns(headersAt(rows, headerRow), DATASETS[kind].columns)) };
+}
+
+// a saved profile applies when its sheet's header row has exactly the same headers as when it was saved
+export function matchProfile(profiles, kind, book) {
+  const profile = profiles.find((p) => {
+    if (p.kind !== kind) return false;
+    const rows = book.sheets[p.sheetName] || book.sheets[book.sheetNames[0]];
+    return headerSignature(headersAt(rows, p.headerRow)) === p.signature;
+  });
+  if (!profile) return null;
+  // the profile's sheet names may not exist in this book; fall back to the matching first sheet
+  const sheetName = book.sheets[profile.sheetName] ? profile.sheetName : book.sheetNames[0];
+  const sheets = (profile.sheets || [sheetName]).filter((n) => book.sheets[n]);
+  return { ...profile, sheetName, sheets: sheets.length ? sheets : [sheetName] };
+}
+
+// One parser result per ingested sheet. Rows are tagged with "file › sheet" when the book has
+// several sheets. "missing" lists required fields with no column on the primary sheet.
+export function parseWithMapping(kind, book, mapping, manual = false, onProgress = null) {
+  const primary = book.sheets[mapping.sheetName] ? mapping.sheetName : book.sheetNames[0];
+  const sheets = [primary, ...(mapping.sheets || []).filter((n) => n !== primary && book.sheets[n])];
+  const parts = sheets.map((name) => {
+    const rows = book.sheets[name];
+    const headerRow = name === primary ? mapping.headerRow : findHeaderRow(rows, DATASETS[kind].expected);
+    const source = book.sheetNames.length > 1 ? `${book.file} › ${name}` : book.file;
+    return DATASETS[kind].parse(tableFrom(source, rows, headerRow), manual ? mapping.fields : null, onProgress);
+  });
+  const missing = DATASETS[kind].required.filter((f) => !parts[0].report.columns.find((c) => c.field === f)?.column);
+  return { parts, missing, kept: sum(parts.map((p) => p.report.kept)) };
+}
+
+// ---------- merging files and sheets ----------
+// Rows repeated across two different sources (overlapping monthly exports, the same sheet in two
+// workbooks) are dropped; repeats inside one source are real transactions and kept. Undated rows are
+// matched on everything else they carry (entity, item, quantity and amount).
+function dedupeAcrossSources(rows, keyOf) {
+  const firstSource = new Map();
+  const kept = [];
+  const removed = [];
+  for (const r of rows) {
+    const key = keyOf(r);
+    const src = firstSource.get(key);
+    if (src === undefined) firstSource.set(key, r.source);
+    else if (src !== r.source) { removed.push(r); continue; }
+    kept.push(r);
+  }
+  return { kept, removed };
+}
+
+const dateKey = (v) => toDate(v)?.toISOString().slice(0, 10) ?? null;
+
+function mergeReports(parts, duplicatesRemoved) {
+  const reports = parts.map((p) => p.report);
+  const dropped = {};
+  for (const r of reports) for (const [k, n] of Object.entries(r.dropped)) dropped[k] = (dropped[k] || 0) + n;
+  return {
+    file: reports.map((r) => r.file).join(", "),
+    headerRow: reports[0].headerRow,
+    totalRows: sum(reports.map((r) => r.totalRows)),
+    kept: sum(reports.map((r) => r.kept)) - duplicatesRemoved,
+    dropped: duplicatesRemoved ? { ...dropped, "duplicate of a row in another file": duplicatesRemoved } : dropped,
+    droppedRows: reports.flatMap((r) => r.droppedRows).slice(0, MAX_ISSUE_ROWS),
+    columns: reports[0].columns,
+    files: reports.map((r) => ({ file: r.file, totalRows: r.totalRows, kept: r.kept })),
+    duplicatesRemoved,
+  };
+}
+
+const entityKey = (name, r) => `${name}|${r.subsidiary ?? ""}|${r.currency ?? ""}`;
+
+const MERGERS = {
+  // the same item (per subsidiary) in two cost exports: the later file wins
+  cost(parts) {
+    const byItem = new Map();
+    let dup = 0;
+    for (const it of parts.flatMap((p) => p.items)) {
+      const key = `${it.subsidiary ?? ""}|${it.fullItem || it.itemCode}`;
+      if (byItem.has(key) && byItem.get(key).source !== it.source) dup++;
+      byItem.set(key, it);
+    }
+    return { items: [...byItem.values()], duplicatesRemoved: dup };
+  },
+  sales(parts) {
+    const { kept, removed } = dedupeAcrossSources(parts.flatMap((p) => p.rows), (r) => `${r.subsidiary ?? ""}|${r.item}|${dateKey(r.date) ?? ""}|${r.qty}|${r.revenue}`);
+    return { ...aggregateSales(kept), duplicatesRemoved: removed.length };
+  },
+  // customer totals from several periods add up, less the detail lines dropped as cross-file duplicates;
+  // subsidiaries and currencies stay apart until scoped
+  customer(parts) {
+    const totals = dedupeAcrossSources(parts.flatMap((p) => p.customers), (c) => `${entityKey(c.customer, c)}|${c.totalRevenue}`);
+    const repeated = new Set(totals.removed.map((c) => entityKey(c.customer, c)));
+    const byName = new Map();
+    for (const c of totals.kept) {
+      const key = entityKey(c.customer, c);
+      const prev = byName.get(key);
+      byName.set(key, prev ? { ...prev, totalRevenue: prev.totalRevenue + c.totalRevenue, sources: [...prev.sources, ...c.sources] } : c);
+    }
+    const { kept, removed } = dedupeAcrossSources(parts.flatMap((p) => p.lines || []), (l) => `${l.subsidiary ?? ""}|${l.customer}|${l.item}|${dateKey(l.date) ?? ""}|${l.qty}|${l.amount}`);
+    for (const l of removed) {
+      const key = entityKey(l.customer, l);
+      const c = byName.get(key);
+      // a repeated total was never added, so its repeated lines have nothing to net out
+      if (c && !repeated.has(key)) byName.set(key, { ...c, totalRevenue: c.totalRevenue - l.amount });
+    }
+    const customers = [...byName.values()].filter((c) => c.totalRevenue > 0).sort((a, b) => b.totalRevenue - a.totalRevenue);
+    return { customers, lines: kept, duplicatesRemoved: totals.removed.length + removed.length };
+  },
+  // vendor totals add up, less the PO lines dropped as cross-file duplicates
+  supplier(parts) {
+    const { kept, removed } = dedupeAcrossSources(parts.flatMap((p) => p.lineItems), (l) => `${l.subsidiary ?? ""}|${l.supplier}|${l.item}|${dateKey(l.date) ?? ""}|${l.quantity}|${l.totalCost}`);
+    const totals = dedupeAcrossSources(parts.flatMap((p) => p.suppliers), (s) => `${entityKey(s.supplier, s)}|${s.totalCost}|${s.totalQuantity}`);
+    const repeated = new Set(totals.removed.map((s) => entityKey(s.supplier, s)));
+    const byVendor = new Map();
+    for (const s of totals.kept) {
+      const key = entityKey(s.supplier, s);
+      const prev = byVendor.get(key);
+      byVendor.set(key, prev ? { ...prev, totalCost: prev.totalCost + s.totalCost, totalQuantity: prev.totalQuantity + s.totalQuantity, sources: [...prev.sources, ...s.sources] } : { ...s });
+    }
+    for (const l of removed) {
+      const key = entityKey(l.supplier, l);
+      const v = byVendor.get(key);
+      if (v && !repeated.has(key)) { v.totalCost -= l.totalCost; v.totalQuantity -= l.quantity; }
+    }
+    const suppliers = [...byVendor.values()].filter((s) => s.totalCost > 0).sort((a, b) => b.totalCost - a.totalCost);
+    return { suppliers, lineItems: kept, duplicatesRemoved: totals.removed.length + removed.length };
+  },
+};
+
+// parser results from any number of files/sheets -> one dataset in the single-file shape
+export function mergeParsed(kind, parts) {
+  const { duplicatesRemoved, ...merged } = MERGERS[kind](parts);
+  return { ...merged, report: mergeReports(parts, duplicatesRemoved) };
+}
+
+// ---------- subsidiaries & currency ----------
+// rates: units of baseCurrency per 1 unit of the currency; a blank Currency column means baseCurrency
+export const DEFAULT_ENTITY = {
+  baseCurrency: "USD", reportingCurrency: "USD", rates: {}, subsidiary: "",
+  intercompanyCustomers: "ic-|intercompany|inter-company", intercompanyVendors: "internal|intercompany",
+};
+
+const patternOf = (src) => {
+  if (!String(src || "").trim()) return { re: null, error: null };
+  try { return { re: new RegExp(src, "i"), error: null }; } catch (e) { return { re: null, error: e.message }; }
+};
+
+function converter({ baseCurrency, reportingCurrency, rates }) {
+  const missing = new Set();
+  const rate = (c) => {
+    if (c === baseCurrency) return 1;
+    const r = Number(rates?.[c]);
+    if (r > 0) return r;
+    missing.add(c);
+    return 1;
+  };
+  const cache = new Map();
+  const factor = (currency) => {
+    const c = currency || baseCurrency;
+    if (c === reportingCurrency) return 1;
+    if (!cache.has(c)) cache.set(c, rate(c) / rate(reportingCurrency));
+    return cache.get(c);
+  };
+  return { factor, missing };
+}
+
+const scaled = (rec, f, keys) => (f === 1 ? rec : { ...rec, ...Object.fromEntries(keys.map((k) => [k, rec[k] * f])) });
+
+// the same item/customer/vendor from several subsidiaries, already in one currency, becomes one record
+function consolidateCost(items) {
+  const groups = new Map();
+  for (const it of items) {
+    const key = it.fullItem || it.itemCode;
+    (groups.get(key) || groups.set(key, []).get(key)).push(it);
+  }
+  return [...groups.values()].map((g) => {
+    if (g.length === 1) return g[0];
+    const qty = sum(g.map((i) => i.Quantity));
+    const weighted = (k) => (qty > 0 ? sum(g.map((i) => i[k] * i.Quantity)) / qty : avg(g.map((i) => i[k])));
+    return withCostTotals({ ...g[0], subsidiary: "", Quantity: qty, unitPrice: weighted("unitPrice"), unitCost: weighted("unitCost") });
+  });
+}
+
+function consolidateBy(rows, nameKey, valueKeys) {
+  const byName = new Map();
+  for (const r of rows) {
+    const prev = byName.get(r[nameKey]);
+    if (!prev) { byName.set(r[nameKey], r); continue; }
+    byName.set(r[nameKey], {
+      ...prev, subsidiary: "", currency: "",
+      ...Object.fromEntries(valueKeys.map((k) => [k, prev[k] + r[k]])),
+      sources: [...new Set([...(prev.sources || []), ...(r.sources || [])])],
+    });
+  }
+  return [...byName.values()];
+}
+
+// Filters every dataset to one subsidiary (datasets without a Subsidiary column are left whole), converts money
+// to the reporting currency, drops intercompany customers/vendors and consolidates what is left.
+export function scopeDatasets({ costData = [], salesMap = {}, salesLines = [], customerData = [], customerLines = [], supplierData = { suppliers: [], lineItems: [] } }, entity = DEFAULT_ENTITY) {
+  const e = { ...DEFAULT_ENTITY, ...entity };
+  const { factor, missing } = converter(e);
+  const subsidiaries = new Set();
+  const currencies = new Set();
+  const note = (r) => { if (r.subsidiary) subsidiaries.add(r.subsidiary); if (r.currency) currencies.add(r.currency); };
+  const salesParts = Object.values(salesMap).flatMap((s) => Object.values(s.breakdown || {}));
+  [costData, salesParts, customerData, customerLines, supplierData.suppliers, supplierData.lineItems].forEach((list) => list.forEach(note));
+
+  const split = (list) => list.some((r) => r.subsidiary);
+  const unsplit = [];
+  const inScope = (label, list) => {
+    if (!e.subsidiary || !list.length) return () => true;
+    if (!split(list)) { unsplit.push(label); return () => true; }
+    return (r) => r.subsidiary === e.subsidiary;
+  };
+
+  const costIn = inScope("Item Cost", costData);
+  const cost = consolidateCost(costData.filter(costIn).map((it) => {
+    const f = factor(it.currency);
+    return f === 1 ? it : withCostTotals({ ...it, unitPrice: it.unitPrice * f, unitCost: it.unitCost * f });
+  }));
+
+  const salesIn = inScope("Sales", salesParts);
+  const scopedSalesMap = {};
+  for (const [key, s] of Object.entries(salesMap)) {
+    const parts = s.breakdown ? Object.values(s.breakdown).filter(salesIn) : [{ qty: s.totalQtySold, revenue: s.totalRevenue, currency: "" }];
+    if (!parts.length) continue;
+    scopedSalesMap[key] = { ...s, totalQtySold: sum(parts.map((b) => b.qty)), totalRevenue: sum(parts.map((b) => b.revenue * factor(b.currency))) };
+  }
+  const linesIn = inScope("Sales lines", salesLines);
+  const lines = salesLines.filter(linesIn).map((l) => scaled(l, factor(l.currency), ["revenue"]));
+
+  const ic = { customers: patternOf(e.intercompanyCustomers), vendors: patternOf(e.intercompanyVendors) };
+  const excluded = { customers: 0, vendors: 0 };
+  const notIC = (kind, name) => {
+    const hit = ic[kind].re?.test(name);
+    if (hit) excluded[kind]++;
+    return !hit;
+  };
+
+  const custIn = inScope("Customers", customerData);
+  const customers = consolidateBy(
+    customerData.filter((c) => custIn(c) && notIC("customers", c.customer)).map((c) => scaled(c, factor(c.currency), ["totalRevenue"])),
+    "customer", ["totalRevenue"],
+  ).sort((a, b) => b.totalRevenue - a.totalRevenue);
+
+  const custLinesIn = inScope("Customer detail", customerLines);
+  const custLines = customerLines
+    .filter((l) => custLinesIn(l) && !ic.customers.re?.test(l.customer))
+    .map((l) => scaled(l, factor(l.currency), ["amount"]));
+
+  const supIn = inScope("Supplier totals", supplierData.suppliers);
+  const suppliers = consolidateBy(
+    supplierData.suppliers.filter((s) => supIn(s) && notIC("vendors", s.supplier)).map((s) => scaled(s, factor(s.currency), ["totalCost"])),
+    "supplier", ["totalCost", "totalQuantity"],
+  ).sort((a, b) => b.totalCost - a.totalCost);
+  const poIn = inScope("PO lines", supplierData.lineItems);
+  const lineItems = supplierData.lineItems
+    .filter((l) => poIn(l) && !ic.vendors.re?.test(l.supplier))
+    .map((l) => scaled(l, factor(l.currency), ["totalCost"]));
+
+  return {
+    costData: cost, salesMap: scopedSalesMap, salesLines: lines, customerData: customers, customerLines: custLines, supplierData: { suppliers, lineItems },
+    subsidiaries: [...subsidiaries].sort(), currencies: [...currencies].sort(), missingRates: [...missing].sort(), unsplit, excluded,
+    patternErrors: Object.fromEntries(Object.entries(ic).filter(([, p]) => p.error).map(([k, p]) => [k, p.error])),
+  };
+}
+
+// Cross-dataset checks: join misses, duplicates and bad costs.
+export function dataQualityIssues(costData, salesMap, computed) {
+  const matchedKeys = new Set((computed?.items || []).map((i) => i.salesKey).filter(Boolean));
+  const unmatchedCost = (computed?.items || [])
+    .filter((i) => !i.salesKey && Object.keys(salesMap).length)
+    .map((i) => ({ itemCode: i.itemCode, fullItem: i.fullItem, Quantity: i.Quantity, totalCost: i.totalCost }));
+  const unmatchedSales = costData.length
+    ? Object.values(salesMap).filter((s) => !matchedKeys.has(s.item)).map((s) => ({ item: s.item, description: s.description, totalQtySold: s.totalQtySold, totalRevenue: s.totalRevenue }))
+    : [];
+  const counts = {};
+  costData.forEach((i) => { counts[i.itemCode] = (counts[i.itemCode] || 0) + 1; });
+  const duplicates = costData.filter((i) => counts[i.itemCode] > 1).map((i) => ({ itemCode: i.itemCode, fullItem: i.fullItem, unitCost: i.unitCost, unitPrice: i.unitPrice, Quantity: i.Quantity }));
+  const badCosts = costData.filter((i) => i.unitCost <= 0).map((i) => ({ itemCode: i.itemCode, fullItem: i.fullItem, unitCost: i.unitCost, unitPrice: i.unitPrice, Quantity: i.Quantity, issue: i.unitCost < 0 ? "negative cost" : "zero cost" }));
+  return { unmatchedCost, unmatchedSales, duplicates, badCosts };
+}
+
+// ---------- trends ----------
+const ROLLING_WINDOWS = [360, 180, 90, 60, 30];
+
+// Periods anchored on the latest date in the data, not today: exports are usually historical.
+function buildPeriods(mode, anchor) {
+  if (mode === "monthly") {
+    const out = [];
+    for (let m = 11; m >= 0; m--) {
+      const start = new Date(anchor.getFullYear(), anchor.getMonth() - m, 1);
+      const end = new Date(anchor.getFullYear(), anchor.getMonth() - m + 1, 1);
+      out.push({ period: start.toLocaleDateString("en-US", { month: "short", year: "2-digit" }), start, end });
+    }
+    return out;
+  }
+  const end = new Date(anchor.getTime() + DAY_MS);
+  return ROLLING_WINDOWS.map((d) => ({ period: `${d}d`, start: new Date(end.getTime() - d * DAY_MS), end }));
+}
+
+// average unit value (amount / qty) of the rows dated inside [start, end)
+function unitValue(rows, start, end) {
+  let amount = 0, qty = 0;
+  for (const r of rows) {
+    if (r.date >= start && r.date < end) { amount += r.amount; qty += r.qty; }
+  }
+  return qty > 0 ? Math.round((amount / qty) * 100) / 100 : null;
+}
+
+export function computeTrends(salesLines, poLines, mode) {
+  const so = salesLines.map((l) => ({ date: toDate(l.date), amount: l.revenue, qty: l.qty, reCert: isReCert(l.item) })).filter((r) => r.date);
+  const po = poLines.map((l) => ({ date: toDate(l.date), amount: l.totalCost, qty: l.quantity })).filter((r) => r.date);
+  if (!so.length && !po.length) return null;
+  const anchor = new Date([...so, ...po].reduce((m, r) => Math.max(m, r.date.getTime()), 0));
+  const periods = buildPeriods(mode, anchor);
+  const newSO = so.filter((r) => !r.reCert);
+  const reSO = so.filter((r) => r.reCert);
+  return {
+    trends: periods.map((p) => ({ period: p.period, SO: unitValue(so, p.start, p.end), PO: unitValue(po, p.start, p.end) })),
+    compare: periods.map((p) => ({ period: p.period, NewSO: unitValue(newSO, p.start, p.end), ReSO: unitValue(reSO, p.start, p.end) })),
+  };
+}
+
+// ---------- customers ----------
+// Pareto/ABC ranking: A = customers making up the first 80% of revenue, B = next 15%, C = the tail.
+export function customerAnalytics(customers) {
+  if (!customers.length) return null;
+  const total = sum(customers.map((c) => c.totalRevenue));
+  if (total <= 0) return null;
+  let running = 0;
+  const ranked = [...customers]
+    .sort((a, b) => b.totalRevenue - a.totalRevenue)
+    .map((c, i) => {
+      const share = c.totalRevenue / total;
+      const prior = running;
+      running += share;
+      const abcClass = prior < 0.8 ? "A" : prior < 0.95 ? "B" : "C";
+      return { rank: i + 1, customer: c.customer, totalRevenue: c.totalRevenue, sharePct: share * 100, cumulativePct: running * 100, abcClass };
+    });
+  const shares = ranked.map((c) => c.sharePct / 100);
+  const hhi = Math.round(sum(shares.map((x) => x * x)) * 10000); // 0–10,000 scale
+  const top1 = shares[0] * 100;
+  const top5 = sum(shares.slice(0, 5)) * 100;
+  // DOJ/FTC bands: <1,500 unconcentrated, 1,500–2,500 moderate, >2,500 high
+  const risk = hhi > 2500 || top1 > 25 ? "High" : hhi >= 1500 || top5 > 50 ? "Moderate" : "Low";
+  const counts = { A: 0, B: 0, C: 0 };
+  ranked.forEach((c) => counts[c.abcClass]++);
+  return { ranked, total, hhi, top1, top5, risk, counts };
+}
+
+// ---------- suppliers ----------
+export function supplierAnalytics({ suppliers, lineItems }) {
+  // fall back to summing PO lines when the export has no "Total - <vendor>" rows
+  let totals = suppliers;
+  if (!totals.length && lineItems.length) {
+    const byVendor = {};
+    for (const l of lineItems) {
+      if (!byVendor[l.supplier]) byVendor[l.supplier] = { supplier: l.supplier, totalCost: 0, totalQuantity: 0 };
+      byVendor[l.supplier].totalCost += l.totalCost;
+      byVendor[l.supplier].totalQuantity += l.quantity;
+    }
+    totals = Object.values(byVendor).sort((a, b) => b.totalCost - a.totalCost);
+  }
+  if (!totals.length) return null;
+  const totalSpend = sum(totals.map((s) => s.totalCost));
+  let running = 0;
+  const ranked = totals.map((s, i) => {
+    const sharePct = totalSpend > 0 ? (s.totalCost / totalSpend) * 100 : 0;
+    running += sharePct;
+    return { rank: i + 1, supplier: s.supplier, totalCost: s.totalCost, totalQuantity: s.totalQuantity, sharePct, cumulativePct: running };
+  });
+
+  // item -> supplier -> { totalCost, quantity }
+  const byItem = {};
+  for (const l of lineItems) {
+    if (!(l.quantity > 0)) continue;
+    const it = (byItem[l.item] ||= {});
+    const v = (it[l.supplier] ||= { totalCost: 0, quantity: 0 });
+    v.totalCost += l.totalCost;
+    v.quantity += l.quantity;
+  }
+  const itemCosts = [];
+  const multiVendor = [];
+  for (const [item, vendors] of Object.entries(byItem)) {
+    const rows = Object.entries(vendors).map(([supplier, v]) => ({ item, supplier, quantity: v.quantity, totalCost: v.totalCost, avgUnitCost: v.totalCost / v.quantity }));
+    itemCosts.push(...rows);
+    if (rows.length < 2) continue;
+    const cheapest = rows.reduce((a, b) => (b.avgUnitCost < a.avgUnitCost ? b : a));
+    const highest = Math.max(...rows.map((r) => r.avgUnitCost));
+    if (highest - cheapest.avgUnitCost < 0.005) continue;
+    const savings = sum(rows.map((r) => (r.avgUnitCost - cheapest.avgUnitCost) * r.quantity));
+    multiVendor.push({
+      item, vendorCount: rows.length, cheapestSupplier: cheapest.supplier, cheapestUnitCost: cheapest.avgUnitCost,
+      highestUnitCost: highest, spreadPct: (highest / cheapest.avgUnitCost - 1) * 100, totalQuantity: sum(rows.map((r) => r.quantity)), savings,
+    });
+  }
+  multiVendor.sort((a, b) => b.savings - a.savings);
+  return { ranked, totalSpend, itemCosts, multiVendor, totalSavings: sum(multiVendor.map((m) => m.savings)) };
+}
+
+// ---------- customer profitability ----------
+export const HEATMAP_CUSTOMERS = 15;
+export const HEATMAP_ITEMS = 12;
+const WORST_ITEMS = 3;
+
+// line item -> cost record by full name, item code, or code without the -New/-ReCert sales suffix
+function costLookup(costData) {
+  const byKey = new Map();
+  for (const it of costData) {
+    if (it.fullItem) byKey.set(it.fullItem, it);
+    if (it.itemCode && !byKey.has(it.itemCode)) byKey.set(it.itemCode, it);
+  }
+  return (item) => {
+    const code = String(item).split(" : ")[0].trim();
+    return byKey.get(item) || byKey.get(code) || byKey.get(code.replace(/-(New|ReCert)$/i, "")) || null;
+  };
+}
+
+const marginOf = (r) => (r.revenue > 0 ? (r.grossProfit / r.revenue) * 100 : null);
+
+// Gross margin per customer from customer × item detail priced at the cost export's unit cost. Lines whose cost
+// is unknown (no cost record, or no quantity to cost) are counted as unmatched revenue and left out of margin.
+export function customerProfitability(lines, costData, targetMargin = DEFAULT_SETTINGS.targetMargin) {
+  if (!lines.length || !costData.length) return null;
+  const costOf = costLookup(costData);
+  const byCustomer = new Map();
+  let matchedRevenue = 0;
+  let unmatchedRevenue = 0;
+  let noQtyRevenue = 0;
+  for (const l of lines) {
+    const c = byCustomer.get(l.customer) || byCustomer.set(l.customer, { customer: l.customer, revenue: 0, cost: 0, unmatchedRevenue: 0, items: new Map() }).get(l.customer);
+    const costItem = costOf(l.item);
+    if (!costItem || !(l.qty > 0)) {
+      c.unmatchedRevenue += l.amount;
+      unmatchedRevenue += l.amount;
+      if (costItem) noQtyRevenue += l.amount;
+      continue;
+    }
+    const cost = l.qty * costItem.unitCost;
+    c.revenue += l.amount;
+    c.cost += cost;
+    matchedRevenue += l.amount;
+    const code = costItem.itemCode;
+    const it = c.items.get(code) || c.items.set(code, { itemCode: code, revenue: 0, cost: 0, qty: 0 }).get(code);
+    it.revenue += l.amount;
+    it.cost += cost;
+    it.qty += l.qty;
+  }
+  const customers = [...byCustomer.values()].map((c) => {
+    const items = [...c.items.values()].map((it) => ({ ...it, grossProfit: it.revenue - it.cost })).map((it) => ({ ...it, marginPct: marginOf(it) }));
+    const grossProfit = c.revenue - c.cost;
+    return { customer: c.customer, revenue: c.revenue, cost: c.cost, grossProfit, marginPct: marginOf({ revenue: c.revenue, grossProfit }), unmatchedRevenue: c.unmatchedRevenue, itemCount: items.length, items };
+  });
+  const ranked = customers.filter((c) => c.revenue > 0).sort((a, b) => b.grossProfit - a.grossProfit).map((c, i) => ({ rank: i + 1, ...c }));
+  const lowMargin = ranked
+    .filter((c) => c.marginPct < targetMargin * 100)
+    .sort((a, b) => a.marginPct - b.marginPct)
+    .map((c) => ({ ...c, worstItems: [...c.items].sort((a, b) => a.grossProfit - b.grossProfit).slice(0, WORST_ITEMS) }));
+
+  // heatmap: biggest customers × the items that carry most of their revenue
+  const heatCustomers = [...ranked].sort((a, b) => b.revenue - a.revenue).slice(0, HEATMAP_CUSTOMERS);
+  const itemRevenue = new Map();
+  for (const c of heatCustomers) for (const it of c.items) itemRevenue.set(it.itemCode, (itemRevenue.get(it.itemCode) || 0) + it.revenue);
+  const heatItems = [...itemRevenue.entries()].sort((a, b) => b[1] - a[1]).slice(0, HEATMAP_ITEMS).map(([code]) => code);
+  const heatmap = {
+    customers: heatCustomers.map((c) => c.customer),
+    items: heatItems,
+    cells: heatCustomers.map((c) => {
+      const byCode = new Map(c.items.map((it) => [it.itemCode, it]));
+      return heatItems.map((code) => {
+        const it = byCode.get(code);
+        return it ? { revenue: it.revenue, grossProfit: it.grossProfit, marginPct: it.marginPct } : null;
+      });
+    }),
+  };
+
+  const revenue = sum(ranked.map((c) => c.revenue));
+  const grossProfit = sum(ranked.map((c) => c.grossProfit));
+  return {
+    ranked: ranked.map(({ items, ...c }) => c),
+    lowMargin: lowMargin.map(({ items, ...c }) => c),
+    heatmap, revenue, grossProfit, marginPct: marginOf({ revenue, grossProfit }),
+    matchedPct: matchedRevenue + unmatchedRevenue > 0 ? (matchedRevenue / (matchedRevenue + unmatchedRevenue)) * 100 : 0,
+    unmatchedRevenue, noQtyRevenue,
+  };
+}
+
+// ---------- demand forecasting ----------
+export const DAYS_PER_MONTH = 365 / 12;
+const MAX_HISTORY_MONTHS = 36;
+const FORECAST_MONTHS = 12;
+const BAND_Z = 1.28; // ~80% band
+
+const monthIndex = (d) => d.getFullYear() * 12 + d.getMonth();
+const monthLabel = (i) => new Date(Math.floor(i / 12), i % 12, 1).toLocaleDateString("en-US", { month: "short", year: "2-digit" });
+const mean = (a) => (a.length ? sum(a) / a.length : 0);
+
+// shared month axis for every item: from the first dated sale (capped) to the latest one
+export function demandCalendar(salesLines) {
+  let lo = Infinity, hi = -Infinity;
+  for (const l of salesLines) {
+    const d = toDate(l.date);
+    if (!d) continue;
+    const m = monthIndex(d);
+    if (m < lo) lo = m;
+    if (m > hi) hi = m;
+  }
+  if (!isFinite(hi)) return null;
+  return { start: Math.max(lo, hi - MAX_HISTORY_MONTHS + 1), end: hi };
+}
+
+export function monthlyDemand(lines, cal) {
+  const series = new Array(cal.end - cal.start + 1).fill(0);
+  for (const l of lines) {
+    const d = toDate(l.date);
+    if (!d) continue;
+    const i = monthIndex(d) - cal.start;
+    if (i >= 0 && i < series.length) series[i] += Number(l.qty) || 0;
+  }
+  return series;
+}
+
+function holtWinters(y, h, m = 12, a = 0.3, b = 0.05, g = 0.2) {
+  let level = mean(y.slice(0, m));
+  let trend = (mean(y.slice(m, 2 * m)) - level) / m;
+  const season = y.slice(0, m).map((v) => v - level);
+  const errors = [];
+  for (let t = 0; t < y.length; t++) {
+    const s = season[t % m];
+    if (t >= m) errors.push([y[t], level + trend + s]);
+    const prev = level;
+    level = a * (y[t] - s) + (1 - a) * (level + trend);
+    trend = b * (level - prev) + (1 - b) * trend;
+    season[t % m] = g * (y[t] - level) + (1 - g) * s;
+  }
+  const forecast = Array.from({ length: h }, (_, k) => level + (k + 1) * trend + season[(y.length + k) % m]);
+  return { forecast, errors };
+}
+
+// Holt's linear trend, damped so short histories don't extrapolate a spike forever
+function dampedHolt(y, h, a = 0.4, b = 0.1, phi = 0.9) {
+  let level = y[0];
+  let trend = y[1] - y[0];
+  const errors = [];
+  for (let t = 1; t < y.length; t++) {
+    errors.push([y[t], level + phi * trend]);
+    const prev = level;
+    level = a * y[t] + (1 - a) * (prev + phi * trend);
+    trend = b * (level - prev) + (1 - b) * phi * trend;
+  }
+  let damp = 0;
+  const forecast = Array.from({ length: h }, (_, k) => { damp += phi ** (k + 1); return level + damp * trend; });
+  return { forecast, errors };
+}
+
+// Holt-Winters with two full seasons of history, damped Holt with some history, and the plain
+// monthly mean for sparse items. Errors are one-step-ahead in-sample.
+export function forecastDemand(series, horizon = FORECAST_MONTHS) {
+  const nonZero = series.filter((v) => v > 0).length;
+  let method, fit;
+  if (series.length >= 24 && nonZero >= 12) {
+    method = "holt-winters";
+    fit = holtWinters(series, horizon);
+  } else if (series.length >= 4 && nonZero >= 4) {
+    method = "holt";
+    fit = dampedHolt(series, horizon);
+  } else {
+    method = "average";
+    const m = mean(series);
+    fit = { forecast: new Array(horizon).fill(m), errors: series.map((v) => [v, m]) };
+  }
+  const abs = fit.errors.map(([y, f]) => Math.abs(y - f));
+  const rmse = Math.sqrt(mean(fit.errors.map(([y, f]) => (y - f) ** 2)));
+  const pctErrors = fit.errors.filter(([y]) => y > 0).map(([y, f]) => Math.abs(y - f) / y);
+  const forecast = fit.forecast.map((v) => Math.max(0, v));
+  return {
+    method,
+    forecast,
+    lo: forecast.map((v) => Math.max(0, v - BAND_Z * rmse)),
+    hi: forecast.map((v) => v + BAND_Z * rmse),
+    mae: mean(abs),
+    mape: pctErrors.length ? mean(pctErrors) * 100 : null,
+  };
+}
+
+// walk on-hand stock through the monthly forecast; beyond the horizon the last month's rate holds
+export function stockoutDays(onHand, monthlyForecast) {
+  let left = Number(onHand) || 0;
+  if (left <= 0) return 0;
+  let days = 0;
+  for (const m of monthlyForecast) {
+    if (m > 0 && left <= m) return days + (left / m) * DAYS_PER_MONTH;
+    left -= m;
+    days += DAYS_PER_MONTH;
+  }
+  const tail = monthlyForecast[monthlyForecast.length - 1] || 0;
+  return tail > 0 ? days + (left / tail) * DAYS_PER_MONTH : Infinity;
+}
+
+export function groupLinesByItem(salesLines) {
+  const by = new Map();
+  for (const l of salesLines) {
+    if (!by.has(l.item)) by.set(l.item, []);
+    by.get(l.item).push(l);
+  }
+  return by;
+}
+
+// history + forecast rows for one item's demand chart
+export function itemDemandChart(salesLines, salesKey, cal = demandCalendar(salesLines)) {
+  if (!cal || !salesKey) return null;
+  const lines = salesLines.filter((l) => l.item === salesKey);
+  if (!lines.length) return null;
+  const series = monthlyDemand(lines, cal);
+  const f = forecastDemand(series);
+  const rows = series.map((qty, i) => ({ month: monthLabel(cal.start + i), actual: qty }));
+  f.forecast.forEach((qty, k) => rows.push({ month: monthLabel(cal.end + k + 1), forecast: qty, band: [f.lo[k], f.hi[k]] }));
+  return { rows, method: f.method, mae: f.mae, mape: f.mape };
+}
+
+// ---------- ABC / XYZ classification ----------
+// A/B/C: cumulative share of annual consumption value (units/yr × unit cost); X/Y/Z: coefficient of variation of
+// monthly demand. Items without dated sales (no variability to measure) count as Z.
+export const ABC_CUTOFFS = { A: 0.8, B: 0.95 };
+export const XYZ_CUTOFFS = { X: 0.5, Y: 1.0 };
+export const DEFAULT_SERVICE_LEVELS = {
+  AX: 0.99, AY: 0.97, AZ: 0.95,
+  BX: 0.97, BY: 0.95, BZ: 0.92,
+  CX: 0.95, CY: 0.92, CZ: 0.90,
+};
+const MIN_CV_MONTHS = 3;
+
+export function demandVariability(series) {
+  if (!series || series.length < MIN_CV_MONTHS) return { cv: null, sd: null };
+  const m = mean(series);
+  const sd = Math.sqrt(sum(series.map((v) => (v - m) ** 2)) / (series.length - 1));
+  return { cv: m > 0 ? sd / m : null, sd };
+}
+
+export function classifyABCXYZ(items) {
+  const value = items.map((it) => (Number(it.annualSales) || 0) * (Number(it.unitCost) || 0));
+  const total = sum(value);
+  const abc = new Array(items.length).fill("C");
+  let running = 0;
+  value.map((v, i) => [v, i]).sort((a, b) => b[0] - a[0]).forEach(([v, i]) => {
+    if (!(v > 0) || !(total > 0)) return;
+    const prior = running / total;
+    running += v;
+    abc[i] = prior < ABC_CUTOFFS.A ? "A" : prior < ABC_CUTOFFS.B ? "B" : "C";
+  });
+  return items.map((it, i) => {
+    const cv = it.demandCV;
+    const xyzClass = cv == null ? "Z" : cv <= XYZ_CUTOFFS.X ? "X" : cv <= XYZ_CUTOFFS.Y ? "Y" : "Z";
+    return { abcClass: abc[i], xyzClass, annualValue: value[i] };
+  });
+}
+
+// 3×3 cells keyed "AX".."CZ": item count and on-hand inventory value
+export function abcXyzMatrix(items) {
+  const cells = Object.fromEntries(Object.keys(DEFAULT_SERVICE_LEVELS).map((k) => [k, { count: 0, value: 0 }]));
+  for (const it of items) {
+    const c = cells[it.abcClass + it.xyzClass];
+    if (!c) continue;
+    c.count++;
+    c.value += Number(it.totalCost) || 0;
+  }
+  return cells;
+}
+
+// inverse standard normal CDF (Acklam's rational approximation)
+export function zScore(p) {
+  if (!(p > 0 && p < 1)) return 0;
+  const a = [-39.6968302866538, 220.946098424521, -275.928510446969, 138.357751867269, -30.6647980661472, 2.50662827745924];
+  const b = [-54.4760987982241, 161.585836858041, -155.698979859887, 66.8013118877197, -13.2806815528857];
+  const c = [-0.00778489400243029, -0.322396458041136, -2.40075827716184, -2.54973253934373, 4.37466414146497, 2.93816398269878];
+  const d = [0.00778469570904146, 0.32246712907004, 2.445134137143, 3.75440866190742];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ---------- inventory model ----------
+export const DEFAULT_SETTINGS = { slowCost: 400, deadCost: 200, slowDays: 180, targetMargin: 0.30, orderingCost: 50, holdingCostRate: 0.25 };
+export const DEFAULT_LEAD_TIMES = { New: { leadTimeDays: 21, safetyDays: 11 }, ReCert: { leadTimeDays: 28, safetyDays: 14 } };
+
+// item code -> supplier with the most PO spend on it
+export function primarySuppliers(lineItems = []) {
+  const spend = {};
+  for (const l of lineItems) {
+    const code = String(l.item).split(" : ")[0].trim();
+    const m = (spend[code] ||= {});
+    m[l.supplier] = (m[l.supplier] || 0) + l.totalCost;
+  }
+  return Object.fromEntries(Object.entries(spend).map(([code, m]) => [code, Object.entries(m).sort((a, b) => b[1] - a[1])[0][0]]));
+}
+
+export function resolveLeadTime(item, supplier, { leadTimes = DEFAULT_LEAD_TIMES, supplierLeadTimes = {}, itemOverrides = {} }) {
+  const base = leadTimes[item.itemType] || DEFAULT_LEAD_TIMES[item.itemType] || DEFAULT_LEAD_TIMES.New;
+  const layers = [
+    ["item", itemOverrides[item.itemCode]],
+    ["supplier", supplier ? supplierLeadTimes[supplier] : null],
+    ["type", base],
+  ];
+  const field = (k) => layers.find(([, l]) => l && l[k] != null && l[k] !== "") || ["type", base];
+  const [ltSource, lt] = field("leadTimeDays");
+  const [, ss] = field("safetyDays");
+  return { leadTimeDays: Number(lt.leadTimeDays), safetyDays: Number(ss.safetyDays), leadTimeSource: ltSource };
+}
+
+// First and last sales date and the calendar months they cover (inclusive); null without dated lines.
+export function salesSpan(salesLines = []) {
+  let lo = Infinity, hi = -Infinity;
+  for (const l of salesLines) {
+    const d = toDate(l.date);
+    if (!d) continue;
+    lo = Math.min(lo, d.getTime());
+    hi = Math.max(hi, d.getTime());
+  }
+  if (!isFinite(hi)) return null;
+  const from = new Date(lo), to = new Date(hi);
+  return { from, to, months: monthIndex(to) - monthIndex(from) + 1 };
+}
+
+// Sales totals are annualised over the calendar months the dated lines cover, so a quarter of
+// history counts as a quarter of a year, not a full one. Undated sales are read as a year.
+export function salesYears(salesLines = []) {
+  const span = salesSpan(salesLines);
+  return span ? span.months / 12 : 1;
+}
+
+// data-quality note when the sales history isn't a year: demand from a shorter or longer span
+// carries that span's seasonality, and undated merged files can't be annualised at all
+export function salesSpanNote(salesLines = [], fileCount = 1) {
+  const span = salesSpan(salesLines);
+  if (!span) {
+    return fileCount > 1 ? `${fileCount} sales files have no dates, so their combined totals are read as one year of demand; map the Date column so the span can be measured.` : "";
+  }
+  if (span.months === 12) return "";
+  return `Sales cover ${span.months} ${span.months === 1 ? "month" : "months"} (${localDay(span.from)} to ${localDay(span.to)}); demand is annualised from that span, so its seasonality is scaled to a full year.`;
+}
+
+// Dated sales lines switch the demand inputs (dailySales, reorder point, stockout, EOQ) from the flat
+// annual rate to a monthly forecast; daysOfInventory and slow/dead classification stay on history.
+export function computeInventory(costData, salesMap, settings, lineItems = [], salesLines = []) {
+  const { slowCost, deadCost, slowDays, targetMargin, orderingCost, holdingCostRate } = settings;
+  if (!costData.length) return null;
+  const suppliersByItem = primarySuppliers(lineItems);
+  const cal = demandCalendar(salesLines);
+  const years = salesYears(salesLines);
+  const linesByItem = cal ? groupLinesByItem(salesLines) : new Map();
+  const demand = costData.map((item) => {
+    const code = item.itemCode;
+    const salesKey = [code, `${code}-New`, `${code}-ReCert`, item.fullItem].find((k) => salesMap[k]) || null;
+    const s = salesKey ? salesMap[salesKey] : null;
+    const annualSales = s ? Number(s.totalQtySold) / years : 0;
+    const historicalDailySales = annualSales / 365;
+    const daysOfInventory = historicalDailySales > 0 ? Number(item.Quantity) / historicalDailySales : Infinity;
+
+    const lines = salesKey ? linesByItem.get(salesKey) : null;
+    const series = lines ? monthlyDemand(lines, cal) : null;
+    const fc = series ? forecastDemand(series) : null;
+    // next quarter's forecast rate drives lead-time demand; the next 12 months drive EOQ
+    const dailySales = fc ? mean(fc.forecast.slice(0, 3)) / DAYS_PER_MONTH : historicalDailySales;
+    const annualDemand = fc ? sum(fc.forecast) : annualSales;
+    const { cv: demandCV, sd: monthlySD } = demandVariability(series);
+
+    return {
+      ...item, salesKey, annualSales, historicalDailySales, dailySales, annualDemand, daysOfInventory, demandCV, monthlySD,
+      forecastMethod: fc ? fc.method : "flat", forecastMAE: fc ? fc.mae : null, forecastMAPE: fc ? fc.mape : null, fc,
+    };
+  });
+  const classes = classifyABCXYZ(demand);
+
+  const items = demand.map(({ fc, ...item }, i) => {
+    const { abcClass, xyzClass } = classes[i];
+    const { dailySales, annualDemand, annualSales } = item;
+    const supplier = suppliersByItem[item.itemCode] || "";
+    const { leadTimeDays, safetyDays: policyDays, leadTimeSource } = resolveLeadTime(item, supplier, settings);
+    const serviceLevel = (settings.serviceLevels || DEFAULT_SERVICE_LEVELS)[abcClass + xyzClass];
+    // service-level safety stock needs monthly variability; items without dated sales keep the days policy
+    const statistical = settings.safetyMethod === "service" && item.monthlySD != null;
+    const safetyStock = statistical
+      ? zScore(serviceLevel) * item.monthlySD * Math.sqrt(leadTimeDays / DAYS_PER_MONTH)
+      : dailySales * policyDays;
+    const safetyDays = statistical ? (dailySales > 0 ? safetyStock / dailySales : 0) : policyDays;
+    const reorderPoint = (dailySales * leadTimeDays) + safetyStock;
+    const daysUntilStockout = fc ? stockoutDays(item.Quantity, fc.forecast) : dailySales > 0 ? Number(item.Quantity) / dailySales : Infinity;
+
+    const holdingCost = Number(item.unitCost) * holdingCostRate;
+    const eoq = (holdingCost > 0 && annualDemand > 0) ? Math.round(Math.sqrt((2 * annualDemand * orderingCost) / holdingCost)) : Math.round((annualDemand/12) * 3);
+
+    const targetPrice = Number(item.unitCost) > 0 ? Number(item.unitCost) / (1 - targetMargin) : 0;
+    const priceDelta = Math.max(0, targetPrice - Number(item.unitPrice));
+    const annualImpact = priceDelta * annualSales;
+
+    return {
+      ...item, supplier, abcClass, xyzClass, serviceLevel, safetyMethod: statistical ? "service" : "days",
+      leadTimeDays, leadTimeSource, safetyDays, safetyStock, reorderPoint, daysUntilStockout, eoq, priceDelta, annualImpact,
+    };
+  });
+
+  const slowMovers = items
+    .filter((it) => it.totalCost > slowCost && (it.daysOfInventory > slowDays || it.annualSales === 0) && it.Quantity > 0)
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  const deadStock = items
+    .filter((it) => it.annualSales === 0 && it.totalCost > deadCost && it.Quantity > 0)
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  // stockout and loss alerts come from the user's alert rules (evaluateAlerts), not fixed thresholds here
+  const priceOpps = items
+    .filter((it) => it.priceDelta > 0 && it.annualSales > 0 && it.totalRevenue > 5000)
+    .sort((a, b) => b.annualImpact - a.annualImpact);
+
+  return { items, slowMovers, deadStock, priceOpps };
+}
+
+// target is the cash the liquidation plan recovers from slow and dead stock; planTotals is
+// planLiquidation(c, …).totals, which the caller already has for the active plan
+export function workingCapital(c, planTotals) {
+  const slowValue = sum(c.slowMovers.map((i) => i.totalCost));
+  const deadValue = sum(c.deadStock.map((i) => i.totalCost));
+  return { slowValue, deadValue, target: planTotals.cashRecovered, holdingSaved: planTotals.holdingSaved };
+}
+
+// ---------- liquidation planning ----------
+// pct means: markdown/bundle = discount off list price, rtv = restocking fee, scrap = salvage value (all as a share)
+export const LIQUIDATION_ACTIONS = {
+  keep: { label: "Keep", pctLabel: null, defaultPct: 0 },
+  markdown: { label: "Markdown", pctLabel: "% off price", defaultPct: 0.3 },
+  bundle: { label: "Bundle", pctLabel: "% bundle discount", defaultPct: 0.15 },
+  rtv: { label: "Return to vendor", pctLabel: "% restocking fee", defaultPct: 0.15 },
+  scrap: { label: "Scrap", pctLabel: "% salvage of cost", defaultPct: 0 },
+};
+export const DEFAULT_LIQUIDATION = {
+  defaults: { slow: { action: "markdown", pct: 0.3 }, dead: { action: "markdown", pct: 0.5 } },
+  items: {},
+};
+
+export function liquidationOutcome(item, { action, pct }, holdingCostRate) {
+  const qty = Number(item.Quantity) || 0;
+  const cost = Number(item.unitCost) || 0;
+  const price = Number(item.unitPrice) || 0;
+  const p = Math.min(Math.max(Number(pct) || 0, 0), 1);
+  let unitRecovery = 0;
+  let marginGiveUp = 0;
+  if (action === "keep") return { cashRecovered: 0, writeOff: 0, marginGiveUp: 0, holdingSaved: 0 };
+  if (action === "markdown" || action === "bundle") {
+    unitRecovery = price * (1 - p);
+    marginGiveUp = qty * (price - unitRecovery);
+  } else if (action === "rtv") unitRecovery = cost * (1 - p);
+  else if (action === "scrap") unitRecovery = cost * p;
+  return {
+    cashRecovered: qty * unitRecovery,
+    writeOff: qty * Math.max(0, cost - unitRecovery),
+    marginGiveUp,
+    holdingSaved: qty * cost * holdingCostRate,
+  };
+}
+
+// one row per slow or dead item; an item's own action/pct wins over its group default
+export function planLiquidation(c, plan = DEFAULT_LIQUIDATION, holdingCostRate = DEFAULT_SETTINGS.holdingCostRate) {
+  const dead = new Set(c.deadStock.map((i) => i.itemCode));
+  const seen = new Set();
+  const rows = [];
+  for (const it of [...c.deadStock, ...c.slowMovers]) {
+    if (seen.has(it.itemCode)) continue;
+    seen.add(it.itemCode);
+    const group = dead.has(it.itemCode) ? "dead" : "slow";
+    const base = plan.defaults?.[group] || DEFAULT_LIQUIDATION.defaults[group];
+    const own = plan.items?.[it.itemCode] || {};
+    const action = own.action || base.action;
+    const pct = own.pct ?? (action === base.action ? base.pct : LIQUIDATION_ACTIONS[action].defaultPct);
+    rows.push({
+      itemCode: it.itemCode, fullItem: it.fullItem, group, Quantity: it.Quantity, unitCost: it.unitCost, unitPrice: it.unitPrice,
+      tiedUp: it.totalCost, action, pct, custom: !!(own.action || own.pct != null),
+      ...liquidationOutcome(it, { action, pct }, holdingCostRate),
+    });
+  }
+  rows.sort((a, b) => b.tiedUp - a.tiedUp);
+  const total = (k) => sum(rows.map((r) => r[k]));
+  const tiedUp = total("tiedUp");
+  const cashRecovered = total("cashRecovered");
+  return {
+    rows,
+    totals: { tiedUp, cashRecovered, writeOff: total("writeOff"), marginGiveUp: total("marginGiveUp"), holdingSaved: total("holdingSaved"), recoveryPct: tiedUp > 0 ? (cashRecovered / tiedUp) * 100 : 0 },
+  };
+}
+
+// ---------- purchase suggestions ----------
+export const RECENT_PO_DAYS = 365;
+
+// item code -> { supplier, unitCost } for the vendor with the lowest unit cost on recent PO lines;
+// "recent" is relative to the newest dated line, undated lines always count
+export function preferredVendors(lineItems = []) {
+  const dated = lineItems.map((l) => toDate(l.date));
+  const latest = dated.reduce((m, d) => (d && d > m ? d : m), null);
+  const cutoff = latest ? latest.getTime() - RECENT_PO_DAYS * DAY_MS : -Infinity;
+  const byItem = {};
+  lineItems.forEach((l, i) => {
+    if (!(l.quantity > 0) || (dated[i] && dated[i].getTime() < cutoff)) return;
+    const code = String(l.item).split(" : ")[0].trim();
+    const v = ((byItem[code] ||= {})[l.supplier] ||= { totalCost: 0, quantity: 0 });
+    v.totalCost += l.totalCost;
+    v.quantity += l.quantity;
+  });
+  return Object.fromEntries(Object.entries(byItem).map(([code, vendors]) => {
+    const [supplier, v] = Object.entries(vendors).reduce((a, b) => (b[1].totalCost / b[1].quantity < a[1].totalCost / a[1].quantity ? b : a));
+    return [code, { supplier, unitCost: v.totalCost / v.quantity }];
+  }));
+}
+
+// EOQ, raised to the MOQ, then rounded up to whole packs
+export function orderQuantity(eoq, { packSize, moq } = {}) {
+  const pack = Number(packSize) > 0 ? Number(packSize) : 1;
+  const qty = Math.max(eoq, 1, Number(moq) || 0);
+  return Math.ceil(qty / pack) * pack;
+}
+
+// items at or below their reorder point, grouped into one suggested PO per preferred vendor
+export function suggestPurchaseOrders(items, lineItems = [], itemOverrides = {}) {
+  const preferred = preferredVendors(lineItems);
+  const byVendor = {};
+  for (const it of items) {
+    if (!(it.dailySales > 0) || Number(it.Quantity) > it.reorderPoint) continue;
+    const pref = preferred[it.itemCode];
+    const override = itemOverrides[it.itemCode] || {};
+    const quantity = orderQuantity(it.eoq, override);
+    const unitCost = pref ? pref.unitCost : Number(it.unitCost);
+    const vendor = pref?.supplier || it.supplier || "Unassigned";
+    (byVendor[vendor] ||= []).push({
+      vendor, itemCode: it.itemCode, fullItem: it.fullItem, onHand: Number(it.Quantity), reorderPoint: Math.round(it.reorderPoint),
+      eoq: it.eoq, packSize: override.packSize ?? "", moq: override.moq ?? "", quantity, unitCost, estCost: quantity * unitCost,
+      costSource: pref ? "recent PO" : "item cost", daysUntilStockout: Math.round(it.daysUntilStockout),
+    });
+  }
+  const orders = Object.entries(byVendor).map(([vendor, lines]) => ({
+    vendor,
+    lines: lines.sort((a, b) => a.daysUntilStockout - b.daysUntilStockout),
+    totalQty: sum(lines.map((l) => l.quantity)),
+    totalCost: sum(lines.map((l) => l.estCost)),
+  })).sort((a, b) => b.totalCost - a.totalCost);
+  return { orders, lineCount: sum(orders.map((o) => o.lines.length)), totalCost: sum(orders.map((o) => o.totalCost)) };
+}
+
+// one row per PO line; lines sharing an External ID import as a single NetSuite purchase order
+export function netsuitePORows(orders, date = new Date()) {
+  const stamp = localDay(date); // same local date parts as tranDate
+  const tranDate = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+  return orders.filter((o) => o.vendor !== "Unassigned").flatMap((o, i) => o.lines.map((l) => ({
+    "External ID": `SUGG-${stamp.replace(/-/g, "")}-${String(i + 1).padStart(3, "0")}`,
+    Vendor: o.vendor,
+    Date: tranDate,
+    Memo: `Suggested PO ${stamp}`,
+    Item: l.itemCode,
+    Quantity: l.quantity,
+    Rate: Math.round(l.unitCost * 100) / 100,
+    Amount: Math.round(l.estCost * 100) / 100,
+  })));
+}
+
+// ---------- pricing ----------
+// elasticity is the % volume change per 1% price change (negative: volume falls as price rises)
+export const DEFAULT_PRICING = { categories: { New: { elasticity: -1.5 }, ReCert: { elasticity: -1.0 } }, items: {} };
+const PRICE_FIELDS = ["targetMargin", "changePct", "price"];
+// a cut of 100% or more would zero the price and send constant-elasticity volume to infinity
+export const MIN_CHANGE_PCT = -0.95;
+export const clampChangePct = (v) => Math.max(MIN_CHANGE_PCT, v);
+// a positive elasticity would grow volume with price; the workbench rejects it instead of guessing the sign
+export const isValidElasticity = (v) => v == null || (Number.isFinite(v) && v <= 0);
+
+// The price rule (target margin, % change or price) comes whole from the most specific scope that sets
+// any of it: the item, then its category (item type), then the global target margin. Elasticity describes
+// demand rather than the price decision, so it falls through item → category → default on its own.
+export function resolvePricingRule(item, pricing = DEFAULT_PRICING, targetMargin = DEFAULT_SETTINGS.targetMargin) {
+  const layers = [["item", pricing.items?.[item.itemCode]], ["category", pricing.categories?.[item.itemType]]];
+  const has = (l, f) => l && l[f] != null && l[f] !== "";
+  const rule = { elasticity: DEFAULT_PRICING.categories[item.itemType]?.elasticity ?? -1, targetMargin, changePct: null, price: null, source: "default" };
+  const priced = layers.find(([, l]) => PRICE_FIELDS.some((f) => has(l, f)));
+  if (priced) {
+    const [scope, l] = priced;
+    if (has(l, "targetMargin")) rule.targetMargin = Number(l.targetMargin);
+    if (has(l, "changePct")) rule.changePct = clampChangePct(Number(l.changePct));
+    if (has(l, "price")) rule.price = Number(l.price);
+    rule.source = scope;
+  }
+  const elastic = layers.find(([, l]) => has(l, "elasticity"));
+  if (elastic) {
+    rule.elasticity = Number(elastic[1].elasticity);
+    if (elastic[0] === "item" || rule.source === "default") rule.source = elastic[0];
+  }
+  return rule;
+}
+
+// proposed price: explicit price, else a % change, else raise (never lower) to the target margin
+export function proposedPrice(item, rule) {
+  const price = Number(item.unitPrice);
+  if (rule.price > 0) return rule.price;
+  if (rule.changePct != null) return price * (1 + rule.changePct);
+  const target = Number(item.unitCost) > 0 && rule.targetMargin < 1 ? Number(item.unitCost) / (1 - rule.targetMargin) : 0;
+  return Math.max(price, target);
+}
+
+// constant-elasticity volume response: q1 = q0 × (p1 / p0)^e
+export function simulatePricing(items, pricing = DEFAULT_PRICING, targetMargin = DEFAULT_SETTINGS.targetMargin) {
+  const rows = items.filter((it) => Number(it.unitPrice) > 0).map((it) => {
+    const rule = resolvePricingRule(it, pricing, targetMargin);
+    const price = Number(it.unitPrice);
+    const cost = Number(it.unitCost);
+    const newPrice = proposedPrice(it, rule);
+    const volume = Number(it.annualSales) || 0;
+    const newVolume = volume * Math.pow(newPrice / price, rule.elasticity);
+    return {
+      itemCode: it.itemCode, fullItem: it.fullItem, itemType: it.itemType, unitCost: cost,
+      currentPrice: price, proposedPrice: newPrice, priceChangePct: (newPrice / price - 1) * 100,
+      currentMargin: ((price - cost) / price) * 100, proposedMargin: ((newPrice - cost) / newPrice) * 100,
+      elasticity: rule.elasticity, ruleSource: rule.source,
+      currentVolume: volume, projectedVolume: newVolume,
+      currentRevenue: price * volume, projectedRevenue: newPrice * newVolume,
+      currentProfit: (price - cost) * volume, projectedProfit: (newPrice - cost) * newVolume,
+    };
+  });
+  for (const r of rows) r.profitDelta = r.projectedProfit - r.currentProfit;
+  const total = (k) => sum(rows.map((r) => r[k]));
+  return {
+    rows: rows.sort((a, b) => Math.abs(b.profitDelta) - Math.abs(a.profitDelta)),
+    changed: rows.filter((r) => Math.abs(r.priceChangePct) >= 0.005).length,
+    current: { revenue: total("currentRevenue"), profit: total("currentProfit"), volume: total("currentVolume") },
+    projected: { revenue: total("projectedRevenue"), profit: total("projectedProfit"), volume: total("projectedVolume") },
+  };
+}
+
+// ---------- snapshot comparison ----------
+// "before"/"after" are { costData, salesMap, salesLines, supplierData } datasets, both run through the same thresholds
+// and liquidation plan.
+export function diffInventory(before, after, settings, plan = DEFAULT_LIQUIDATION) {
+  const a = computeInventory(before.costData || [], before.salesMap || {}, settings, before.supplierData?.lineItems, before.salesLines);
+  const b = computeInventory(after.costData || [], after.salesMap || {}, settings, after.supplierData?.lineItems, after.salesLines);
+  if (!a || !b) return null;
+  const codes = (list) => new Set(list.map((i) => i.itemCode));
+  const moved = (fromList, toList) => {
+    const from = codes(fromList);
+    return toList.filter((i) => !from.has(i.itemCode)).map((i) => ({ itemCode: i.itemCode, fullItem: i.fullItem, totalCost: i.totalCost, Quantity: i.Quantity }));
+  };
+  const beforeByCode = new Map(a.items.map((i) => [i.itemCode, i]));
+  const marginChanges = b.items
+    .filter((i) => beforeByCode.has(i.itemCode))
+    .map((i) => {
+      const prev = beforeByCode.get(i.itemCode);
+      return { itemCode: i.itemCode, marginBefore: prev.profitMargin, marginAfter: i.profitMargin, marginDelta: i.profitMargin - prev.profitMargin, costBefore: prev.unitCost, costAfter: i.unitCost, priceBefore: prev.unitPrice, priceAfter: i.unitPrice };
+    })
+    .filter((m) => Math.abs(m.marginDelta) >= 0.1)
+    .sort((x, y) => Math.abs(y.marginDelta) - Math.abs(x.marginDelta));
+  const wcA = workingCapital(a, planLiquidation(a, plan, settings.holdingCostRate).totals);
+  const wcB = workingCapital(b, planLiquidation(b, plan, settings.holdingCostRate).totals);
+  return {
+    newSlow: moved(a.slowMovers, b.slowMovers),
+    clearedSlow: moved(b.slowMovers, a.slowMovers),
+    newDead: moved(a.deadStock, b.deadStock),
+    clearedDead: moved(b.deadStock, a.deadStock),
+    marginChanges,
+    workingCapital: { before: wcA, after: wcB, slowDelta: wcB.slowValue - wcA.slowValue, deadDelta: wcB.deadValue - wcA.deadValue, targetDelta: wcB.target - wcA.target },
+  };
+}
+
+
+// ---------- inventory aging ----------
+// FIFO: the units on hand are the newest receipts, so each item's Quantity is peeled off its PO lines
+// newest-first. Units the PO history can't cover predate it and are aged from the history start (a floor).
+export const AGING_BUCKETS = [
+  { key: "days0to90", label: "0–90 days", max: 90 },
+  { key: "days91to180", label: "91–180 days", max: 180 },
+  { key: "days181to365", label: "181–365 days", max: 365 },
+  { key: "days365plus", label: "365+ days", max: Infinity },
+];
+const AGING_TREND_MONTHS = 24;
+const agingBucket = (age) => AGING_BUCKETS.find((b) => age <= b.max).key;
+// calendar day number from the local date parts, so ages are whole days whatever the time zone or DST
+const dayNumber = (d) => Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS);
+const monthStartDay = (m) => Math.round(Date.UTC(Math.floor(m / 12), m % 12, 1) / DAY_MS);
+
+// default as-of date: the newest receipt or sale in the loaded data, so a historical export isn't aged to today
+export function latestDataDate(...lists) {
+  let latest = null;
+  for (const list of lists) {
+    for (const r of list || []) {
+      const d = toDate(r.date);
+      if (d && (!latest || d > latest)) latest = d;
+    }
+  }
+  return latest;
+}
+
+export function inventoryAging(items, lineItems = [], holdingCostRate = 0, asOf = new Date()) {
+  const endDay = dayNumber(asOf);
+  const receipts = new Map();
+  let historyStart = null;
+  for (const l of lineItems) {
+    const d = toDate(l.date);
+    if (!d || !(l.quantity > 0) || dayNumber(d) > endDay) continue;
+    if (!historyStart || d < historyStart) historyStart = d;
+    const code = String(l.item).split(" : ")[0].trim();
+    if (!receipts.has(code)) receipts.set(code, []);
+    receipts.get(code).push({ date: d, qty: l.quantity });
+  }
+  if (!historyStart) return null;
+
+  const layers = [];
+  const rows = [];
+  for (const it of items) {
+    const onHand = Number(it.Quantity) || 0;
+    const unitCost = Number(it.unitCost) || 0;
+    if (onHand <= 0) continue;
+    const row = { itemCode: it.itemCode, fullItem: it.fullItem, itemType: it.itemType, Quantity: onHand, unitCost, totalCost: onHand * unitCost, carryingCost: 0, untracedQty: 0, oldestReceipt: null };
+    AGING_BUCKETS.forEach((b) => { row[b.key] = 0; });
+    const add = (date, qty, untraced) => {
+      const age = Math.max(0, endDay - dayNumber(date));
+      const value = qty * unitCost;
+      row[agingBucket(age)] += value;
+      row.carryingCost += value * holdingCostRate * (age / 365);
+      row.ageDays = (row.ageDays || 0) + age * qty;
+      if (untraced) row.untracedQty += qty;
+      row.oldestReceipt = date;
+      layers.push({ date, value });
+    };
+    let left = onHand;
+    for (const r of (receipts.get(it.itemCode) || []).sort((a, b) => b.date - a.date)) {
+      if (left <= 0) break;
+      const take = Math.min(left, r.qty);
+      add(r.date, take, false);
+      left -= take;
+    }
+    if (left > 0) add(historyStart, left, true);
+    row.avgAgeDays = row.ageDays / onHand;
+    delete row.ageDays;
+    rows.push(row);
+  }
+  rows.sort((a, b) => b.carryingCost - a.carryingCost);
+
+  const buckets = AGING_BUCKETS.map((b) => ({ key: b.key, label: b.label, value: sum(rows.map((r) => r[b.key])) }));
+  const totalValue = sum(rows.map((r) => r.totalCost));
+
+  // carrying cost the current layers accrued month by month; accrual before the window opens the cumulative line
+  const endMonth = monthIndex(asOf);
+  const startMonth = endMonth - AGING_TREND_MONTHS + 1;
+  const accrued = new Array(AGING_TREND_MONTHS).fill(0);
+  let before = 0;
+  const windowStart = monthStartDay(startMonth);
+  for (const { date, value } of layers) {
+    const perDay = (value * holdingCostRate) / 365;
+    const from = dayNumber(date);
+    if (from < windowStart) before += perDay * (windowStart - from);
+    for (let m = Math.max(monthIndex(date), startMonth); m <= endMonth; m++) {
+      const days = Math.min(endDay, monthStartDay(m + 1)) - Math.max(from, monthStartDay(m));
+      if (days > 0) accrued[m - startMonth] += perDay * days;
+    }
+  }
+  let cumulative = before;
+  const trend = accrued.map((a, i) => ({ month: monthLabel(startMonth + i), accrued: a, cumulative: (cumulative += a) }));
+
+  return {
+    asOf, historyStart, rows, buckets, trend, totalValue,
+    carryingCost: sum(rows.map((r) => r.carryingCost)),
+    untracedValue: sum(rows.map((r) => r.untracedQty * r.unitCost)),
+    byCode: Object.fromEntries(rows.map((r) => [r.itemCode, { avgAgeDays: r.avgAgeDays, agedOver365Value: r.days365plus, carryingCost: r.carryingCost }])),
+  };
+}
+
+// ---------- alert rules ----------
+// A rule matches an item when every condition holds: { field, op, value } over any computed item field.
+export const ALERT_SEVERITIES = ["critical", "warning", "info"];
+export const ALERT_OPS = { lt: "<", lte: "≤", gt: ">", gte: "≥", eq: "=", neq: "≠", contains: "contains" };
+export const DEFAULT_ALERT_RULES = [
+  { name: "Critical stockout", severity: "critical", enabled: true, conditions: [{ field: "daysUntilStockout", op: "lte", value: 30 }, { field: "totalCost", op: "gt", value: 1000 }] },
+  { name: "Stockout warning", severity: "warning", enabled: true, conditions: [{ field: "daysUntilStockout", op: "gt", value: 30 }, { field: "daysUntilStockout", op: "lte", value: 60 }, { field: "totalCost", op: "gt", value: 500 }] },
+  { name: "Losing money", severity: "warning", enabled: true, conditions: [{ field: "profitMargin", op: "lt", value: 0 }] },
+];
+// the defaults stay in effect (in memory, ids "default-N") while no rules are saved or storage is unavailable
+export const alertRulesOrDefaults = (rules) => (rules?.length ? rules : DEFAULT_ALERT_RULES.map((r, i) => ({ ...r, id: `default-${i}` })));
+export const isStockoutRule = (rule) => rule.conditions?.some((c) => c.field === "daysUntilStockout");
+const ALERT_HIDDEN_FIELDS = new Set(["source", "salesKey", "fullItem", "monthlySD", "forecastMAE"]);
+
+// fields a rule can test, typed from the first item that has a value for them
+export function alertFields(items) {
+  const types = {};
+  for (const it of items.slice(0, 200)) {
+    for (const [k, v] of Object.entries(it)) {
+      if (types[k] || ALERT_HIDDEN_FIELDS.has(k) || v == null || v === "") continue;
+      if (typeof v === "number") types[k] = "number";
+      else if (typeof v === "string") types[k] = "text";
+    }
+  }
+  return Object.entries(types).map(([key, type]) => ({ key, type })).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export function matchesCondition(item, { field, op, value }) {
+  const v = item[field];
+  if (v == null || v === "") return false;
+  if (op === "contains") return String(v).toLowerCase().includes(String(value ?? "").toLowerCase());
+  if (typeof v === "number") {
+    const n = Number(value);
+    if (value === "" || value == null || Number.isNaN(n)) return false;
+    return { lt: v < n, lte: v <= n, gt: v > n, gte: v >= n, eq: v === n, neq: v !== n }[op] ?? false;
+  }
+  const a = String(v).toLowerCase();
+  const b = String(value ?? "").toLowerCase();
+  return op === "eq" ? a === b : op === "neq" ? a !== b : false;
+}
+
+const alertValueText = (v) => (typeof v === "number" ? (Number.isFinite(v) ? String(Math.round(v * 100) / 100) : "∞") : String(v));
+export const alertValuesText = (values) => Object.entries(values).map(([k, v]) => `${k} ${alertValueText(v)}`).join(" · ");
+
+export const alertKey = (ruleId, itemCode) => `${ruleId}|${itemCode}`;
+
+// states: { [alertKey]: { status: "acknowledged" | "snoozed", until? } }; a lapsed snooze is open again
+export function evaluateAlerts(rules, items, states = {}, now = Date.now()) {
+  const severityRank = Object.fromEntries(ALERT_SEVERITIES.map((s, i) => [s, i]));
+  const alerts = [];
+  for (const rule of rules) {
+    if (!rule.enabled || !rule.conditions?.length) continue;
+    for (const it of items) {
+      if (!rule.conditions.every((c) => matchesCondition(it, c))) continue;
+      const key = alertKey(rule.id, it.itemCode);
+      const st = states[key];
+      const snoozed = st?.status === "snoozed" && new Date(st.until).getTime() > now;
+      alerts.push({
+        key, ruleId: rule.id, rule: rule.name, severity: rule.severity, itemCode: it.itemCode, fullItem: it.fullItem,
+        values: Object.fromEntries(rule.conditions.map((c) => [c.field, it[c.field]])),
+        status: st?.status === "acknowledged" ? "acknowledged" : snoozed ? "snoozed" : "open",
+        until: snoozed ? st.until : null,
+      });
+    }
+  }
+  return alerts.sort((a, b) => severityRank[a.severity] - severityRank[b.severity] || a.rule.localeCompare(b.rule) || a.itemCode.localeCompare(b.itemCode));
+}
+
+// ---------- reports ----------
+export const REPORT_SECTIONS = [
+  { id: "summary", label: "Executive summary" },
+  { id: "slowMovers", label: "Slow movers" },
+  { id: "deadStock", label: "Dead stock" },
+  { id: "aging", label: "Inventory aging" },
+  { id: "stockouts", label: "Stockout risks" },
+  { id: "alerts", label: "Open alerts" },
+  { id: "priceOpps", label: "Price opportunities" },
+  { id: "customers", label: "Customers" },
+  { id: "suppliers", label: "Suppliers" },
+];
+
+const col = (key, label, format = "text") => ({ key, label, format });
+
+// one row per item at its most severe stockout rule, soonest stockout first within a level;
+// without any stockout rule the default ones apply so the section never silently disappears
+function stockoutRows(rules, items) {
+  let stockoutRules = alertRulesOrDefaults(rules).filter(isStockoutRule);
+  if (!stockoutRules.length) stockoutRules = alertRulesOrDefaults([]).filter(isStockoutRule);
+  const byItem = new Map(items.map((it) => [it.itemCode, it]));
+  const rows = new Map();
+  for (const a of evaluateAlerts(stockoutRules, items)) {
+    if (!rows.has(a.itemCode)) rows.set(a.itemCode, { ...byItem.get(a.itemCode), severity: a.severity, level: a.severity[0].toUpperCase() + a.severity.slice(1) });
+  }
+  const rank = Object.fromEntries(ALERT_SEVERITIES.map((s, i) => [s, i]));
+  return [...rows.values()].sort((a, b) => rank[a.severity] - rank[b.severity] || a.daysUntilStockout - b.daysUntilStockout);
+}
+const ITEM_COLS = [col("itemCode", "Item"), col("itemType", "Type")];
+
+// one table per report section (summary is a KPI list); sections without data are left out
+// capital is workingCapital() for the active liquidation plan, computed once by the caller;
+// alerts is evaluateAlerts() output for the user's rules (only the open ones are reported);
+// stockouts lists every item the enabled stockout rules match, whatever its acknowledge/snooze state
+export function reportTables({ computed, metrics, customerStats, supplierStats, capital, aging, alerts, alertRules, currency, subsidiary }) {
+  const openAlerts = (alerts || []).filter((a) => a.status === "open");
+  const stockouts = computed ? stockoutRows(alertRules, computed.items) : [];
+  const out = {};
+  const kpis = [];
+  if (currency) kpis.push({ label: "Reporting currency", value: currency, format: "text" });
+  if (subsidiary) kpis.push({ label: "Subsidiary", value: subsidiary, format: "text" });
+  if (metrics) {
+    kpis.push(
+      { label: "Total revenue", value: metrics.totalRevenue, format: "currency" },
+      { label: "Total profit", value: metrics.totalProfit, format: "currency" },
+      { label: "Average margin", value: metrics.avgMargin, format: "pct" },
+      { label: "Items losing money", value: metrics.losingItems, format: "int" },
+    );
+  }
+  if (capital) kpis.push({ label: "Slow mover value", value: capital.slowValue, format: "currency" }, { label: "Dead stock value", value: capital.deadValue, format: "currency" });
+  if (computed) {
+    kpis.push(
+      { label: "Critical stockout risks", value: stockouts.filter((r) => r.severity === "critical").length, format: "int" },
+      { label: "Price opportunities", value: computed.priceOpps.length, format: "int" },
+    );
+  }
+  if (aging) kpis.push({ label: "Inventory aged 365+ days", value: aging.buckets.at(-1).value, format: "currency" }, { label: "Accumulated carrying cost", value: aging.carryingCost, format: "currency" });
+  if (alerts) kpis.push({ label: "Open critical alerts", value: openAlerts.filter((a) => a.severity === "critical").length, format: "int" }, { label: "Open warning alerts", value: openAlerts.filter((a) => a.severity === "warning").length, format: "int" });
+  if (capital) kpis.push({ label: "Planned cash recovery", value: capital.target, format: "currency" });
+  if (customerStats) kpis.push({ label: "Customer concentration (HHI)", value: customerStats.hhi, format: "int" }, { label: "Concentration risk", value: customerStats.risk, format: "text" });
+  if (supplierStats) kpis.push({ label: "Supplier spend", value: supplierStats.totalSpend, format: "currency" });
+  if (kpis.length) out.summary = { title: "Executive summary", kpis };
+
+  if (computed) {
+    out.slowMovers = {
+      title: "Slow movers",
+      columns: [...ITEM_COLS, col("Quantity", "On hand", "int"), col("unitCost", "Unit cost", "currency"), col("totalCost", "Value", "currency"), col("daysOfInventory", "Days of inventory", "int"), col("profitMargin", "Margin", "pct")],
+      rows: computed.slowMovers,
+    };
+    out.deadStock = {
+      title: "Dead stock",
+      columns: [...ITEM_COLS, col("Quantity", "On hand", "int"), col("unitCost", "Unit cost", "currency"), col("totalCost", "Value", "currency")],
+      rows: computed.deadStock,
+    };
+    out.stockouts = {
+      title: "Stockout risks",
+      columns: [col("level", "Level"), ...ITEM_COLS, col("Quantity", "On hand", "int"), col("dailySales", "Units/day", "decimal"), col("daysUntilStockout", "Days to stockout", "int"), col("reorderPoint", "Reorder point", "int"), col("supplier", "Supplier")],
+      rows: stockouts,
+    };
+    if (alerts) {
+      const byItem = new Map(computed.items.map((it) => [it.itemCode, it]));
+      out.alerts = {
+        title: "Open alerts",
+        columns: [col("severity", "Severity"), col("rule", "Rule"), ...ITEM_COLS, col("Quantity", "On hand", "int"), col("totalCost", "Value", "currency"), col("daysUntilStockout", "Days to stockout", "int"), col("matched", "Matched values")],
+        rows: openAlerts.map((a) => ({ ...byItem.get(a.itemCode), severity: a.severity, rule: a.rule, matched: alertValuesText(a.values) })),
+      };
+    }
+    out.priceOpps = {
+      title: "Price opportunities",
+      columns: [...ITEM_COLS, col("unitPrice", "Price", "currency"), col("unitCost", "Unit cost", "currency"), col("profitMargin", "Margin", "pct"), col("priceDelta", "Headroom", "currency"), col("annualSales", "Units/yr", "int"), col("annualImpact", "Annual impact", "currency")],
+      rows: computed.priceOpps,
+    };
+  }
+  if (aging) {
+    out.aging = {
+      title: `Inventory aging as of ${aging.asOf.toLocaleDateString("en-US")}`,
+      columns: [...ITEM_COLS, col("Quantity", "On hand", "int"), col("totalCost", "Value", "currency"), ...AGING_BUCKETS.map((b) => col(b.key, b.label, "currency")), col("avgAgeDays", "Avg age (days)", "int"), col("carryingCost", "Carrying cost", "currency")],
+      rows: aging.rows,
+    };
+  }
+  if (customerStats) {
+    out.customers = {
+      title: "Customers",
+      columns: [col("rank", "Rank", "int"), col("customer", "Customer"), col("totalRevenue", "Revenue", "currency"), col("sharePct", "Share", "pct"), col("cumulativePct", "Cumulative", "pct"), col("abcClass", "Class")],
+      rows: customerStats.ranked,
+    };
+  }
+  if (supplierStats) {
+    out.suppliers = {
+      title: "Suppliers",
+      columns: [col("rank", "Rank", "int"), col("supplier", "Supplier"), col("totalCost", "Spend", "currency"), col("totalQuantity", "Units", "int"), col("sharePct", "Share", "pct"), col("cumulativePct", "Cumulative", "pct")],
+      rows: supplierStats.ranked,
+    };
+  }
+  return out;
+}
+
+// header + data rows as plain values for a spreadsheet; non-finite numbers become blanks
+export function tableToRows(table) {
+  if (table.kpis) return [["Metric", "Value"], ...table.kpis.map((k) => [k.label, k.value])];
+  const value = (v) => (typeof v === "number" ? (Number.isFinite(v) ? Math.round(v * 100) / 100 : "") : v ?? "");
+  return [table.columns.map((c) => c.label), ...table.rows.map((r) => table.columns.map((c) => value(r[c.key])))];
+}
+
+// ---------- worker hand-off ----------
+const PREVIEW_ROWS = 40;
+
+// the first rows of every sheet: enough for header detection, profile matching and the mapping wizard
+// uploads of one dataset can share a file name (per-subsidiary sales.csv from different folders,
+// a month re-downloaded); later ones get " (2)", " (3)" … so each stays a separate merge source
+export function uniqueSourceName(name, taken) {
+  const used = new Set(taken);
+  if (!used.has(name)) return name;
+  let n = 2;
+  while (used.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+export function bookPreview(book, rows = PREVIEW_ROWS) {
+  return {
+    file: book.file,
+    sheetNames: book.sheetNames,
+    sheets: Object.fromEntries(book.sheetNames.map((n) => [n, book.sheets[n].slice(0, rows)])),
+    rowCounts: Object.fromEntries(book.sheetNames.map((n) => [n, book.sheets[n].length])),
+  };
+}
@@ -0,0 +1,48 @@
+// Runs file reading, parsing and the inventory model off the main thread.
+// Messages in:  { id, type: "load" | "parse" | "compute" | "diff", payload }
+// Messages out: { id, type: "progress", phase, done, total } | { id, type: "result", result } | { id, type: "error", message }
+import { bookPreview, uniqueSourceName, parseWithMapping, mergeParsed, computeInventory, diffInventory } from "./engine.js";
+import { readBook } from "./io.js";
+
+// Full workbooks and per-file parser results stay here, keyed by dataset kind then upload id
+// (file names can repeat); the main thread only gets previews and the merged dataset.
+const books = {};
+const parsed = {};
+let uploads = 0;
+
+const handlers = {
+  async load({ kind, file, append }, progress) {
+    if (!append || !books[kind]) { books[kind] = {}; parsed[kind] = {}; }
+    const book = await readBook(file, (done, total) => progress(`Reading ${file.name}`, done, total));
+    book.file = uniqueSourceName(file.name, Object.values(books[kind]).map((b) => b.file));
+    const uploadId = ++uploads;
+    books[kind][uploadId] = book;
+    return { ...bookPreview(book), uploadId };
+  },
+  // -> { missing, kept, merged }; merged is null when this file couldn't be used
+  parse({ kind, uploadId, mapping, manual }, progress) {
+    const book = books[kind]?.[uploadId];
+    if (!book) throw new Error("Upload the file again: the worker no longer has it");
+    const { parts, missing, kept } = parseWithMapping(kind, book, mapping, manual, (done, total) => progress(`Parsing ${book.file}`, done, total));
+    if (missing.length || !kept) return { missing, kept, merged: null };
+    parsed[kind][uploadId] = parts;
+    return { missing, kept, merged: mergeParsed(kind, Object.values(parsed[kind]).flat()) };
+  },
+  compute({ costData, salesMap, settings, lineItems, salesLines }) {
+    return computeInventory(costData, salesMap, settings, lineItems, salesLines);
+  },
+  diff({ before, after, settings, plan }) {
+    return diffInventory(before, after, settings, plan);
+  },
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  const progress = (phase, done, total) => self.postMessage({ id, type: "progress", phase, done, total });
+  if (!Object.hasOwn(handlers, type)) return self.postMessage({ id, type: "error", message: `Unknown engine request "${type}"` });
+  try {
+    const result = await handlers[type](payload, progress);
+    self.postMessage({ id, type: "result", result });
+  } catch (e) {
+    self.postMessage({ id, type: "error", message: e?.message || String(e) });
+  }
+};
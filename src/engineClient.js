@@ -0,0 +1,56 @@
+// Promise wrapper around engine.worker.js. Cancelling terminates the worker (a running parse can't
+// be interrupted any other way) and starts a fresh one, so cached workbooks are dropped with it.
+export class CancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CancelledError";
+  }
+}
+
+export const isCancelled = (e) => e instanceof CancelledError;
+
+export function createEngineClient() {
+  let worker = null;
+  let seq = 0;
+  const pending = new Map();
+
+  function spawn() {
+    worker = new Worker(new URL("./engine.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      const job = pending.get(data.id);
+      if (!job) return;
+      if (data.type === "progress") return job.onProgress?.(data);
+      pending.delete(data.id);
+      if (data.type === "result") job.resolve(data.result);
+      else job.reject(new Error(data.message));
+    };
+    worker.onerror = (e) => {
+      for (const job of pending.values()) job.reject(new Error(e.message || "Worker error"));
+      pending.clear();
+    };
+  }
+
+  function call(type, payload, onProgress) {
+    if (!worker) spawn();
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, type, payload });
+    });
+  }
+
+  function cancel() {
+    if (worker) worker.terminate();
+    worker = null;
+    for (const job of pending.values()) job.reject(new CancelledError());
+    pending.clear();
+  }
+
+  return {
+    load: (kind, file, append, onProgress) => call("load", { kind, file, append }, onProgress),
+    parse: (kind, uploadId, mapping, manual, onProgress) => call("parse", { kind, uploadId, mapping, manual }, onProgress),
+    compute: (costData, salesMap, settings, lineItems, salesLines) => call("compute", { costData, salesMap, settings, lineItems, salesLines }),
+    diff: (before, after, settings, plan) => call("diff", { before, after, settings, plan }),
+    cancel,
+  };
+}
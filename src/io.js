@@ -0,0 +1,70 @@
+// File readers and writers (Papa Parse / SheetJS). Readers are used by the Web Worker for dataset
+// uploads and on the main thread for small settings files.
+import * as XLSX from "xlsx";
+import Papa from "papaparse";
+
+export function ensureExt(file, allowed) {
+  const ok = allowed.some((e) => file.name.toLowerCase().endsWith(e));
+  if (!ok) throw new Error(`Expected ${allowed.join(", ")} but got "${file.name}"`);
+}
+
+export function parseCSV(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      complete: (res) => resolve(res.data),
+      error: (err) => reject(err),
+    });
+  });
+}
+
+// rows as arrays, so CSV and XLS/XLSX share the header-row detection and column mapping;
+// onProgress(bytesRead, fileSize) fires per chunk
+export function parseCSVRows(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Papa.parse(file, {
+      header: false,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      chunk: (res) => {
+        for (const r of res.data) rows.push(r);
+        if (onProgress) onProgress(res.meta.cursor, file.size);
+      },
+      complete: () => resolve(rows),
+      error: (err) => reject(err),
+    });
+  });
+}
+
+export async function readWorkbook(file) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return XLSX.read(data, { type: "array" });
+}
+
+// A CSV becomes a single-sheet book so every dataset goes through the same sheet/header-row choice.
+export async function readBook(file, onProgress) {
+  if (file.name.toLowerCase().endsWith(".csv")) {
+    return { file: file.name, sheetNames: ["CSV"], sheets: { CSV: await parseCSVRows(file, onProgress) } };
+  }
+  const wb = await readWorkbook(file);
+  const sheets = {};
+  wb.SheetNames.forEach((n, i) => {
+    sheets[n] = XLSX.utils.sheet_to_json(wb.Sheets[n], { header: 1, raw: true, defval: "" });
+    if (onProgress) onProgress(i + 1, wb.SheetNames.length);
+  });
+  return { file: file.name, sheetNames: wb.SheetNames, sheets };
+}
+
+// sheets: [{ name, rows }] with rows as arrays, first row the header; Excel caps sheet names at 31 chars
+export function writeWorkbook(filename, sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const { name, rows } of sheets) {
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws["!cols"] = (rows[0] || []).map((_, c) => ({ wch: Math.min(40, Math.max(...rows.slice(0, 200).map((r) => String(r[c] ?? "").length), 8) + 2) }));
+    XLSX.utils.book_append_sheet(wb, ws, name.slice(0, 31));
+  }
+  XLSX.writeFile(wb, filename);
+}
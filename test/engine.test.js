@@ -0,0 +1,587 @@
+import { describe, it, expect } from "vitest";
+import {
+  mapColumns, parseCostTable, parseSalesTable, parseSupplierTable, parseCustomerTable, computeInventory, resolveLeadTime,
+  autoMapping, parseWithMapping, mergeParsed, tableFrom, forecastDemand, stockoutDays, DAYS_PER_MONTH,
+  suggestPurchaseOrders, preferredVendors, orderQuantity, netsuitePORows, simulatePricing, resolvePricingRule,
+  liquidationOutcome, planLiquidation, workingCapital, DEFAULT_LIQUIDATION, reportTables, tableToRows,
+  scopeDatasets, DEFAULT_ENTITY, classifyABCXYZ, demandVariability, zScore, abcXyzMatrix,
+  customerProfitability, DEFAULT_SETTINGS, COST_COLUMNS, evaluateAlerts, alertFields, alertKey, DEFAULT_ALERT_RULES,
+  inventoryAging, latestDataDate, salesYears, alertRulesOrDefaults, uniqueSourceName, salesSpanNote, isValidElasticity,
+} from "../src/engine.js";
+import { fixtureTable } from "./helpers.js";
+
+const load = () => {
+  const { items } = parseCostTable(fixtureTable("item_cost.csv"));
+  const { salesMap } = parseSalesTable(fixtureTable("sales_by_item.csv"));
+  const { lineItems } = parseSupplierTable(fixtureTable("po_details.csv"));
+  return { items, salesMap, lineItems };
+};
+const byCode = (list, code) => list.find((i) => i.itemCode === code);
+
+describe("mapColumns", () => {
+  it("prefers exact headers and flags contains matches", () => {
+    const cols = mapColumns(["Item", "Avg. Average Item Rate", "Qty"], COST_COLUMNS);
+    expect(cols.item).toMatchObject({ index: 0, how: "exact" });
+    expect(cols.price).toMatchObject({ index: 1, how: "contains" });
+    expect(cols.cost).toMatchObject({ index: -1, how: "missing" });
+    expect(cols.qty).toMatchObject({ index: 2, how: "exact" });
+  });
+});
+
+describe("parsers", () => {
+  it("keeps priced cost rows and reports the dropped ones", () => {
+    const { items, report } = parseCostTable(fixtureTable("item_cost.csv"));
+    expect(items.map((i) => i.itemCode)).toEqual(["FAST-1", "SLOW-1", "DEAD-1", "RUN-1"]);
+    expect(byCode(items, "DEAD-1").itemType).toBe("ReCert");
+    expect(byCode(items, "SLOW-1")).toMatchObject({ totalCost: 4000, profitMargin: 20 });
+    expect(report).toMatchObject({ kept: 4, totalRows: 5, dropped: { "missing Average of Est. Unit Cost": 1 } });
+  });
+
+  it("aggregates sales by item and skips repeated header rows", () => {
+    const { salesMap, salesLines, report } = parseSalesTable(fixtureTable("sales_by_item.csv"));
+    expect(Object.keys(salesMap)).toEqual(["FAST-1", "SLOW-1-New", "RUN-1"]);
+    expect(salesLines).toHaveLength(3);
+    expect(report.dropped).toEqual({ "repeated header row": 1 });
+  });
+
+  it("splits PO details into vendor totals and lines", () => {
+    const { suppliers, lineItems } = parseSupplierTable(fixtureTable("po_details.csv"));
+    expect(suppliers).toEqual([{ supplier: "Acme", totalCost: 6000, totalQuantity: 100, subsidiary: "", currency: "", sources: ["po_details.csv"] }]);
+    expect(lineItems).toMatchObject([{ supplier: "Acme", item: "RUN-1", totalCost: 6000, quantity: 100 }]);
+  });
+});
+
+describe("computeInventory", () => {
+  const { items, salesMap, lineItems } = load();
+  const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, lineItems);
+
+  it("matches sales by code, -New/-ReCert suffix or full name", () => {
+    expect(byCode(inv.items, "FAST-1").salesKey).toBe("FAST-1");
+    expect(byCode(inv.items, "SLOW-1").salesKey).toBe("SLOW-1-New");
+    expect(byCode(inv.items, "DEAD-1").salesKey).toBeNull();
+  });
+
+  it("computes EOQ from annual demand, ordering cost and holding cost", () => {
+    // sqrt(2 × 730 × $50 / ($60 × 25%)) = 69.8
+    expect(byCode(inv.items, "RUN-1").eoq).toBe(70);
+    // no sales: falls back to three months of demand
+    expect(byCode(inv.items, "DEAD-1").eoq).toBe(0);
+  });
+
+  it("computes reorder point as lead-time demand plus safety stock", () => {
+    const run = byCode(inv.items, "RUN-1");
+    expect(run.dailySales).toBe(2);
+    expect(run.reorderPoint).toBe(2 * 21 + 2 * 11);
+  });
+
+  it("computes days until stockout and flags critical risks through the default alert rules", () => {
+    expect(byCode(inv.items, "RUN-1").daysUntilStockout).toBe(25);
+    expect(byCode(inv.items, "DEAD-1").daysUntilStockout).toBe(Infinity);
+    const critical = evaluateAlerts(DEFAULT_ALERT_RULES.map((r, id) => ({ ...r, id })), inv.items).filter((a) => a.severity === "critical");
+    // FAST-1 runs out in 5 days but holds only $100 of stock
+    expect(critical.map((a) => a.itemCode)).toEqual(["RUN-1"]);
+  });
+
+  it("classifies slow movers and dead stock", () => {
+    expect(inv.slowMovers.map((i) => i.itemCode)).toEqual(["SLOW-1", "DEAD-1"]);
+    expect(inv.deadStock.map((i) => i.itemCode)).toEqual(["DEAD-1"]);
+  });
+
+  it("respects the slow-mover thresholds", () => {
+    const strict = computeInventory(items, salesMap, { ...DEFAULT_SETTINGS, slowDays: 600, deadCost: 1000 }, lineItems);
+    expect(strict.slowMovers.map((i) => i.itemCode)).toEqual(["DEAD-1"]);
+    expect(strict.deadStock).toEqual([]);
+  });
+});
+
+describe("resolveLeadTime", () => {
+  const item = { itemCode: "RUN-1", itemType: "New" };
+
+  it("falls back to the item-type defaults", () => {
+    expect(resolveLeadTime(item, "", {})).toEqual({ leadTimeDays: 21, safetyDays: 11, leadTimeSource: "type" });
+  });
+
+  it("lets item overrides beat supplier overrides", () => {
+    const settings = { supplierLeadTimes: { Acme: { leadTimeDays: 10 } }, itemOverrides: { "RUN-1": { leadTimeDays: 5 } } };
+    expect(resolveLeadTime(item, "Acme", settings)).toMatchObject({ leadTimeDays: 5, safetyDays: 11, leadTimeSource: "item" });
+    expect(resolveLeadTime(item, "Acme", { ...settings, itemOverrides: {} })).toMatchObject({ leadTimeDays: 10, leadTimeSource: "supplier" });
+  });
+
+  it("feeds supplier lead times into the reorder point", () => {
+    const { items, salesMap, lineItems } = load();
+    const inv = computeInventory(items, salesMap, { ...DEFAULT_SETTINGS, supplierLeadTimes: { Acme: { leadTimeDays: 10 } } }, lineItems);
+    expect(byCode(inv.items, "RUN-1")).toMatchObject({ supplier: "Acme", leadTimeDays: 10, reorderPoint: 2 * 10 + 2 * 11 });
+  });
+});
+
+describe("multi-sheet and multi-file ingestion", () => {
+  const header = ["Item", "Qty", "Amount", "Date"];
+  const book = (file, sheets) => ({ file, sheetNames: Object.keys(sheets), sheets });
+
+  it("auto-selects every sheet that carries the dataset headers", () => {
+    const b = book("sales.xlsx", { Jan: [header, ["A", 1, 10, "1/5/2025"]], Notes: [["Read me"]], Feb: [["Sales"], header, ["A", 2, 20, "2/5/2025"]] });
+    const mapping = autoMapping("sales", b);
+    expect(mapping.sheets).toEqual(["Jan", "Feb"]);
+    const { parts, kept } = parseWithMapping("sales", b, mapping);
+    expect(kept).toBe(2);
+    expect(parts.map((p) => p.report.file)).toEqual(["sales.xlsx › Jan", "sales.xlsx › Feb"]);
+    expect(mergeParsed("sales", parts).salesMap.A.totalQtySold).toBe(3);
+  });
+
+  it("drops rows repeated across files but keeps repeats within one file", () => {
+    const jan = parseSalesTable(tableFrom("jan.csv", [header, ["A", 1, 10, "1/5/2025"], ["A", 1, 10, "1/5/2025"]], 0));
+    const overlap = parseSalesTable(tableFrom("jan-feb.csv", [header, ["A", 1, 10, "1/5/2025"], ["A", 4, 40, "2/5/2025"]], 0));
+    const merged = mergeParsed("sales", [jan, overlap]);
+    expect(merged.salesMap.A.totalQtySold).toBe(6);
+    expect(merged.salesLines.map((l) => l.source)).toEqual(["jan.csv", "jan.csv", "jan-feb.csv"]);
+    expect(merged.report).toMatchObject({ duplicatesRemoved: 1, kept: 3, dropped: { "duplicate of a row in another file": 1 } });
+  });
+
+  it("keeps same-named uploads as separate sources", () => {
+    const east = book("sales.csv", { CSV: [header, ["A", 1, 10, "1/5/2025"], ["B", 2, 20, "1/6/2025"]] });
+    const west = book(uniqueSourceName("sales.csv", [east.file]), { CSV: [header, ["A", 1, 10, "1/5/2025"], ["A", 5, 50, "1/7/2025"]] });
+    expect(west.file).toBe("sales.csv (2)");
+    expect(uniqueSourceName("sales.csv", ["sales.csv", "sales.csv (2)"])).toBe("sales.csv (3)");
+    const parts = [east, west].flatMap((b) => parseWithMapping("sales", b, autoMapping("sales", b)).parts);
+    const merged = mergeParsed("sales", parts);
+    expect(merged.report.files.map((f) => f.file)).toEqual(["sales.csv", "sales.csv (2)"]);
+    // the row both exports share is counted once; everything else from both files is merged
+    expect(merged.salesMap.A.totalQtySold).toBe(6);
+    expect(merged.salesMap.B.totalQtySold).toBe(2);
+    expect(merged.report.duplicatesRemoved).toBe(1);
+  });
+
+  it("nets duplicate PO lines out of the vendor totals", () => {
+    const cols = ["Vendor", "Item", "Quantity", "Amount", "Date"];
+    const a = parseSupplierTable(tableFrom("po-a.csv", [cols, ["Acme", "X", 1, 100, "3/1/2025"], ["Total - Acme", "", 1, 100, ""]], 0));
+    const b = parseSupplierTable(tableFrom("po-b.csv", [cols, ["Acme", "X", 1, 100, "3/1/2025"], ["Acme", "Y", 2, 50, "3/2/2025"], ["Total - Acme", "", 3, 150, ""]], 0));
+    const merged = mergeParsed("supplier", [a, b]);
+    expect(merged.lineItems).toHaveLength(2);
+    expect(merged.suppliers).toEqual([{ supplier: "Acme", totalCost: 150, totalQuantity: 3, subsidiary: "", currency: "", sources: ["po-a.csv", "po-b.csv"] }]);
+  });
+
+  it("drops undated customer and PO rows repeated in an overlapping file", () => {
+    const ccols = ["Customer", "Item", "Qty", "Amount"];
+    const c1 = parseCustomerTable(tableFrom("cust-a.csv", [ccols, ["Globex", "X", 1, 100], ["Total - Globex", "", 1, 100]], 0));
+    const c2 = parseCustomerTable(tableFrom("cust-b.csv", [ccols, ["Globex", "X", 1, 100], ["Total - Globex", "", 1, 100]], 0));
+    const customers = mergeParsed("customer", [c1, c2]);
+    expect(customers.customers.map((c) => [c.customer, c.totalRevenue])).toEqual([["Globex", 100]]);
+    expect(customers.lines).toHaveLength(1);
+
+    const pcols = ["Vendor", "Item", "Quantity", "Amount"];
+    const a = parseSupplierTable(tableFrom("po-a.csv", [pcols, ["Acme", "X", 1, 100], ["Total - Acme", "", 1, 100]], 0));
+    const b = parseSupplierTable(tableFrom("po-b.csv", [pcols, ["Acme", "X", 1, 100], ["Acme", "Y", 2, 50], ["Total - Acme", "", 3, 150]], 0));
+    const merged = mergeParsed("supplier", [a, b]);
+    expect(merged.lineItems.map((l) => l.item)).toEqual(["X", "Y"]);
+    expect(merged.suppliers[0]).toMatchObject({ totalCost: 150, totalQuantity: 3 });
+  });
+
+  it("spreads sales merged across more than a year over the covered span", () => {
+    const y1 = parseSalesTable(tableFrom("2024.csv", [header, ["FAST-1", 365, 10, "1/1/2024"]], 0));
+    const y2 = parseSalesTable(tableFrom("2025.csv", [header, ["FAST-1", 365, 10, "12/30/2025"]], 0));
+    const { salesMap, salesLines } = mergeParsed("sales", [y1, y2]);
+    expect(salesYears(salesLines)).toBeCloseTo(730 / 365);
+    const { items } = load();
+    const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, [], salesLines);
+    expect(byCode(inv.items, "FAST-1").annualSales).toBeCloseTo(365);
+    expect(salesSpanNote(salesLines)).toMatch(/^Sales cover 24 months/);
+  });
+
+  it("annualises a sub-year sales span instead of reading it as a year", () => {
+    const q1 = parseSalesTable(tableFrom("q1.csv", [header, ["FAST-1", 30, 10, "1/5/2025"], ["FAST-1", 30, 10, "3/28/2025"]], 0));
+    const { salesMap, salesLines } = mergeParsed("sales", [q1]);
+    expect(salesYears(salesLines)).toBe(0.25);
+    const { items } = load();
+    const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, [], salesLines);
+    expect(byCode(inv.items, "FAST-1").annualSales).toBe(240);
+    expect(salesSpanNote(salesLines)).toBe("Sales cover 3 months (2025-01-05 to 2025-03-28); demand is annualised from that span, so its seasonality is scaled to a full year.");
+    // a year of monthly lines needs no note; undated multi-file sales can't be measured
+    expect(salesSpanNote(Array.from({ length: 12 }, (_, m) => ({ date: new Date(2024, m, 15) })))).toBe("");
+    expect(salesSpanNote([{ date: null }], 2)).toMatch(/^2 sales files have no dates/);
+    expect(salesSpanNote([], 1)).toBe("");
+  });
+});
+
+describe("demand forecasting", () => {
+  const seasonal = Array.from({ length: 36 }, (_, i) => 100 + (i % 12 === 11 ? 200 : 0)); // December spike
+
+  it("uses Holt-Winters with two seasons of history and picks up the seasonal peak", () => {
+    const f = forecastDemand(seasonal);
+    expect(f.method).toBe("holt-winters");
+    expect(f.forecast[11]).toBeGreaterThan(2 * f.forecast[0]);
+    expect(f.lo[0]).toBeLessThanOrEqual(f.forecast[0]);
+    expect(f.hi[0]).toBeGreaterThanOrEqual(f.forecast[0]);
+  });
+
+  it("falls back to the monthly mean for sparse items", () => {
+    const f = forecastDemand([0, 0, 12, 0, 0, 0]);
+    expect(f.method).toBe("average");
+    expect(f.forecast[0]).toBe(2);
+  });
+
+  it("walks on-hand stock through the monthly forecast", () => {
+    expect(stockoutDays(150, [100, 100, 100])).toBeCloseTo(1.5 * DAYS_PER_MONTH);
+    expect(stockoutDays(10, [0, 0, 0])).toBe(Infinity);
+  });
+
+  it("feeds the forecast into reorder point, stockout and EOQ", () => {
+    const { items, salesMap, lineItems } = load();
+    const lines = [];
+    for (let m = 0; m < 12; m++) lines.push({ item: "RUN-1", date: new Date(2024, m, 15), qty: m < 9 ? 10 : 100, revenue: 0 });
+    const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, lineItems, lines);
+    const run = byCode(inv.items, "RUN-1");
+    expect(run.forecastMethod).toBe("holt");
+    // the recent ramp-up beats the flat 730/365 = 2/day
+    expect(run.dailySales).toBeGreaterThan(2);
+    expect(run.reorderPoint).toBeCloseTo(run.dailySales * 21 + run.dailySales * 11);
+    expect(run.daysUntilStockout).toBeLessThan(25);
+    // days of inventory stays on the historical rate
+    expect(run.daysOfInventory).toBe(25);
+    expect(byCode(inv.items, "SLOW-1").forecastMethod).toBe("flat");
+  });
+});
+
+describe("suggested purchase orders", () => {
+  it("orders EOQ from the preferred vendor for items at or below reorder point", () => {
+    const { items, salesMap, lineItems } = load();
+    const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, lineItems);
+    const { orders } = suggestPurchaseOrders(inv.items, lineItems);
+    const acme = orders.find((o) => o.vendor === "Acme");
+    expect(acme.lines.map((l) => l.itemCode)).toEqual(["RUN-1"]);
+    expect(acme.lines[0]).toMatchObject({ quantity: 70, unitCost: 60, estCost: 4200 });
+    // FAST-1 has no PO history, so it falls back to item cost with no vendor
+    expect(orders.find((o) => o.vendor === "Unassigned").lines[0]).toMatchObject({ itemCode: "FAST-1", unitCost: 10 });
+    expect(netsuitePORows(orders, new Date(2025, 6, 1))).toEqual([
+      { "External ID": "SUGG-20250701-001", Vendor: "Acme", Date: "7/1/2025", Memo: "Suggested PO 2025-07-01", Item: "RUN-1", Quantity: 70, Rate: 60, Amount: 4200 },
+    ]);
+  });
+
+  it("rounds to MOQ and pack size", () => {
+    expect(orderQuantity(70, { packSize: 25 })).toBe(75);
+    expect(orderQuantity(70, { moq: 100, packSize: 24 })).toBe(120);
+    expect(orderQuantity(0)).toBe(1);
+  });
+
+  it("prefers the cheapest vendor on recent lines only", () => {
+    const lines = [
+      { supplier: "Old", item: "X", totalCost: 100, quantity: 10, date: "1/1/2023" },
+      { supplier: "A", item: "X", totalCost: 300, quantity: 10, date: "6/1/2025" },
+      { supplier: "B", item: "X : widget", totalCost: 250, quantity: 10, date: "5/1/2025" },
+    ];
+    expect(preferredVendors(lines).X).toEqual({ supplier: "B", unitCost: 25 });
+  });
+});
+
+describe("pricing workbench", () => {
+  const items = [
+    { itemCode: "A", itemType: "New", unitPrice: 10, unitCost: 8, annualSales: 100 },
+    { itemCode: "B", itemType: "ReCert", unitPrice: 20, unitCost: 10, annualSales: 50 },
+  ];
+
+  it("raises to the target margin and lets volume respond to elasticity", () => {
+    const sim = simulatePricing(items, { categories: { New: { elasticity: -2 } }, items: {} }, 0.36);
+    const a = sim.rows.find((r) => r.itemCode === "A");
+    expect(a.proposedPrice).toBeCloseTo(12.5);
+    expect(a.projectedVolume).toBeCloseTo(100 * Math.pow(1.25, -2));
+    expect(a.projectedProfit).toBeCloseTo(4.5 * 64);
+    // B already clears 36%, so it keeps its price and volume
+    expect(sim.rows.find((r) => r.itemCode === "B")).toMatchObject({ proposedPrice: 20, projectedVolume: 50 });
+    expect(sim.changed).toBe(1);
+    expect(sim.current).toEqual({ revenue: 2000, profit: 700, volume: 150 });
+  });
+
+  it("resolves item rules over category rules over the global margin", () => {
+    const pricing = { categories: { New: { elasticity: -1.2, changePct: 0.05 } }, items: { A: { price: 11 } } };
+    // the item's price rule replaces the category's % change; elasticity still falls through to the category
+    expect(resolvePricingRule(items[0], pricing, 0.3)).toMatchObject({ elasticity: -1.2, changePct: null, price: 11, targetMargin: 0.3, source: "item" });
+    expect(simulatePricing(items, pricing, 0.3).rows.find((r) => r.itemCode === "A").proposedPrice).toBe(11);
+    expect(resolvePricingRule(items[1], pricing, 0.3)).toMatchObject({ elasticity: -1, source: "default" });
+  });
+
+  it("uses the elasticity as entered and only accepts zero or negative values", () => {
+    expect(resolvePricingRule(items[0], { categories: { New: { elasticity: 0 } }, items: {} }).elasticity).toBe(0);
+    expect([undefined, 0, -1.5].every(isValidElasticity)).toBe(true);
+    expect([1.2, NaN].some(isValidElasticity)).toBe(false);
+  });
+
+  it("takes an item's own target margin over its category's % change", () => {
+    const pricing = { categories: { New: { changePct: 0.05 } }, items: { A: { targetMargin: 0.4 } } };
+    expect(resolvePricingRule(items[0], pricing, 0.3)).toMatchObject({ targetMargin: 0.4, changePct: null, source: "item" });
+    expect(simulatePricing(items, pricing, 0.3).rows.find((r) => r.itemCode === "A").proposedPrice).toBeCloseTo(8 / 0.6);
+  });
+
+  it("keeps a price cut above -100%", () => {
+    const sim = simulatePricing(items, { categories: {}, items: { A: { changePct: -1.5 } } }, 0.3);
+    const a = sim.rows.find((r) => r.itemCode === "A");
+    expect(a.proposedPrice).toBeCloseTo(0.5);
+    expect(Number.isFinite(a.projectedVolume)).toBe(true);
+    expect(Number.isFinite(sim.projected.profit)).toBe(true);
+  });
+});
+
+describe("liquidation planner", () => {
+  const item = { itemCode: "X", Quantity: 10, unitCost: 20, unitPrice: 30, totalCost: 200 };
+
+  it("prices each action", () => {
+    expect(liquidationOutcome(item, { action: "markdown", pct: 0.5 }, 0.25)).toEqual({ cashRecovered: 150, writeOff: 50, marginGiveUp: 150, holdingSaved: 50 });
+    expect(liquidationOutcome(item, { action: "rtv", pct: 0.15 }, 0.25)).toMatchObject({ cashRecovered: 170, writeOff: 30, marginGiveUp: 0 });
+    expect(liquidationOutcome(item, { action: "scrap", pct: 0 }, 0.25)).toMatchObject({ cashRecovered: 0, writeOff: 200 });
+    expect(liquidationOutcome(item, { action: "keep" }, 0.25)).toMatchObject({ cashRecovered: 0, holdingSaved: 0 });
+  });
+
+  it("applies group defaults with per-item overrides and feeds the working-capital target", () => {
+    const { items, salesMap, lineItems } = load();
+    const inv = computeInventory(items, salesMap, DEFAULT_SETTINGS, lineItems);
+    const plan = { ...DEFAULT_LIQUIDATION, items: { "SLOW-1": { action: "rtv" } } };
+    const { rows, totals } = planLiquidation(inv, plan, 0.25);
+    expect(rows.map((r) => [r.itemCode, r.group, r.action, r.pct])).toEqual([["SLOW-1", "slow", "rtv", 0.15], ["DEAD-1", "dead", "markdown", 0.5]]);
+    // SLOW-1: 100 × 40 × 0.85; DEAD-1: 20 × 30 × 0.5
+    expect(totals.cashRecovered).toBeCloseTo(3400 + 300);
+    expect(workingCapital(inv, totals)).toMatchObject({ slowValue: 4500, target: totals.cashRecovered, holdingSaved: totals.holdingSaved });
+  });
+});
+
+describe("report tables", () => {
+  it("builds one table per analysis with blanks for non-finite values", () => {
+    const { items, salesMap, lineItems } = load();
+    const computed = computeInventory(items, salesMap, DEFAULT_SETTINGS, lineItems);
+    const rules = DEFAULT_ALERT_RULES.map((r, id) => ({ ...r, id }));
+    const custom = { id: 9, name: "Any stock", severity: "info", enabled: true, conditions: [{ field: "Quantity", op: "gt", value: 0 }] };
+    const open = evaluateAlerts([...rules, custom], computed.items);
+    const alerts = evaluateAlerts([...rules, custom], computed.items, { [alertKey(0, "RUN-1")]: { status: "acknowledged" } });
+    const tables = reportTables({ computed, metrics: null, customerStats: null, supplierStats: null, capital: workingCapital(computed, planLiquidation(computed).totals), alerts, alertRules: [...rules, custom] });
+    expect(Object.keys(tables)).toEqual(["summary", "slowMovers", "deadStock", "stockouts", "alerts", "priceOpps"]);
+    // only open alerts are reported, with the values that tripped the rule
+    expect(tables.alerts.rows.map((r) => [r.severity, r.itemCode])).toEqual(alerts.filter((a) => a.status === "open").map((a) => [a.severity, a.itemCode]));
+    expect(tables.alerts.rows.some((r) => r.itemCode === "RUN-1" && r.rule === "Critical stockout")).toBe(false);
+    expect(tableToRows(reportTables({ computed, alerts: open }).alerts).find((r) => r[0] === "critical")).toContain("daysUntilStockout 25 · totalCost 3000");
+    // stockouts come from the stockout rules only and ignore the acknowledgement
+    expect(tables.stockouts.rows.map((r) => [r.level, r.itemCode])).toEqual([["Critical", "RUN-1"]]);
+    expect(tableToRows(tables.summary)).toContainEqual(["Critical stockout risks", 1]);
+    // with the stockout rules deleted the defaults still drive the section
+    expect(reportTables({ computed, alertRules: [custom] }).stockouts.rows.map((r) => r.itemCode)).toEqual(["RUN-1"]);
+    const rows = tableToRows(tables.slowMovers);
+    expect(rows[0]).toEqual(["Item", "Type", "On hand", "Unit cost", "Value", "Days of inventory", "Margin"]);
+    // DEAD-1 has no sales, so its days of inventory is Infinity
+    expect(rows.find((r) => r[0] === "DEAD-1")[5]).toBe("");
+    expect(tableToRows(tables.summary)[1]).toEqual(["Slow mover value", 4500]);
+  });
+});
+
+describe("subsidiaries and currency", () => {
+  const sales = parseSalesTable(tableFrom("oneworld.csv", [
+    ["Item", "Qty", "Amount", "Date", "Subsidiary", "Currency"],
+    ["A", 10, 100, "1/5/2025", "US Inc", "USD"],
+    ["A", 5, 50, "1/6/2025", "UK Ltd", "GBP"],
+  ], 0));
+  const costData = parseCostTable(tableFrom("cost.csv", [
+    ["Item", "Average Item Rate", "Average of Est. Unit Cost", "Quantity", "Subsidiary", "Currency"],
+    ["A", 10, 6, 10, "US Inc", "USD"],
+    ["A", 10, 4, 30, "UK Ltd", "GBP"],
+  ], 0)).items;
+  const customerData = [
+    { customer: "Globex", totalRevenue: 100, subsidiary: "US Inc", currency: "USD", sources: ["c.csv"] },
+    { customer: "Globex", totalRevenue: 50, subsidiary: "UK Ltd", currency: "GBP", sources: ["c.csv"] },
+    { customer: "IC-UK Ltd", totalRevenue: 999, subsidiary: "US Inc", currency: "USD", sources: ["c.csv"] },
+  ];
+  const entity = { ...DEFAULT_ENTITY, rates: { GBP: 1.25 } };
+
+  it("picks up Subsidiary and Currency columns", () => {
+    expect(sales.salesLines[1]).toMatchObject({ subsidiary: "UK Ltd", currency: "GBP" });
+    expect(Object.keys(sales.salesMap.A.breakdown)).toEqual(["US Inc|USD", "UK Ltd|GBP"]);
+  });
+
+  it("converts to the reporting currency and consolidates subsidiaries", () => {
+    const s = scopeDatasets({ costData, salesMap: sales.salesMap, salesLines: sales.salesLines, customerData }, entity);
+    expect(s.subsidiaries).toEqual(["UK Ltd", "US Inc"]);
+    expect(s.salesMap.A).toMatchObject({ totalQtySold: 15, totalRevenue: 100 + 50 * 1.25 });
+    // one consolidated cost record, quantity-weighted: (6×10 + 5×30) / 40
+    expect(s.costData).toHaveLength(1);
+    expect(s.costData[0]).toMatchObject({ Quantity: 40, unitCost: 5.25, totalCost: 210 });
+    expect(s.customerData).toMatchObject([{ customer: "Globex", totalRevenue: 162.5 }]);
+    expect(s.excluded.customers).toBe(1);
+    const eur = scopeDatasets({ costData, salesMap: sales.salesMap }, { ...entity, reportingCurrency: "EUR" });
+    expect(eur.missingRates).toEqual(["EUR"]);
+  });
+
+  it("filters to one subsidiary and leaves unsplit datasets whole", () => {
+    const plain = [{ customer: "Initech", totalRevenue: 10, sources: ["c.csv"] }];
+    const s = scopeDatasets({ costData, salesMap: sales.salesMap, salesLines: sales.salesLines, customerData: plain }, { ...entity, subsidiary: "UK Ltd" });
+    expect(s.salesMap.A).toMatchObject({ totalQtySold: 5, totalRevenue: 62.5 });
+    expect(s.salesLines).toHaveLength(1);
+    expect(s.costData[0]).toMatchObject({ Quantity: 30, unitCost: 5 });
+    expect(s.customerData).toHaveLength(1);
+    expect(s.unsplit).toEqual(["Customers"]);
+  });
+
+  it("uses the configured intercompany patterns", () => {
+    const s = scopeDatasets({ customerData }, { ...entity, intercompanyCustomers: "" });
+    expect(s.customerData.map((c) => c.customer)).toEqual(["IC-UK Ltd", "Globex"]);
+    expect(scopeDatasets({ customerData }, { ...entity, intercompanyCustomers: "(" }).patternErrors.customers).toBeTruthy();
+  });
+});
+
+describe("ABC/XYZ classification", () => {
+  it("splits value at 80/95% and variability at CV 0.5/1.0", () => {
+    const items = [
+      { annualSales: 80, unitCost: 10, demandCV: 0.2 },
+      { annualSales: 15, unitCost: 10, demandCV: 0.8 },
+      { annualSales: 5, unitCost: 10, demandCV: 1.5 },
+      { annualSales: 0, unitCost: 10, demandCV: null },
+    ];
+    expect(classifyABCXYZ(items).map((c) => c.abcClass + c.xyzClass)).toEqual(["AX", "BY", "CZ", "CZ"]);
+  });
+
+  it("measures demand variability from the monthly series", () => {
+    expect(demandVariability([10, 10, 10, 10])).toEqual({ cv: 0, sd: 0 });
+    expect(demandVariability([10, 10])).toEqual({ cv: null, sd: null });
+  });
+
+  it("inverts the normal CDF", () => {
+    expect(zScore(0.95)).toBeCloseTo(1.645, 3);
+    expect(zScore(0.99)).toBeCloseTo(2.326, 3);
+    expect(zScore(0.5)).toBeCloseTo(0, 6);
+  });
+
+  it("sizes safety stock from the cell's service level when asked", () => {
+    const { items, salesMap, lineItems } = load();
+    const lines = [];
+    for (let m = 0; m < 12; m++) lines.push({ item: "RUN-1", date: new Date(2024, m, 15), qty: m % 2 ? 40 : 80, revenue: 0 });
+    const inv = computeInventory(items, salesMap, { ...DEFAULT_SETTINGS, safetyMethod: "service" }, lineItems, lines);
+    const run = byCode(inv.items, "RUN-1");
+    expect(run.abcClass + run.xyzClass).toBe("AX");
+    expect(run.safetyMethod).toBe("service");
+    expect(run.safetyStock).toBeCloseTo(zScore(0.99) * run.monthlySD * Math.sqrt(21 / DAYS_PER_MONTH));
+    expect(run.reorderPoint).toBeCloseTo(run.dailySales * 21 + run.safetyStock);
+    // no dated sales: the days policy still applies
+    expect(byCode(inv.items, "FAST-1")).toMatchObject({ safetyMethod: "days", safetyDays: 11 });
+    expect(abcXyzMatrix(inv.items).AX).toEqual({ count: 1, value: 3000 });
+  });
+});
+
+describe("customer profitability", () => {
+  const header = ["Customer", "Item", "Qty", "Amount", "Date"];
+  const table = tableFrom("cust.csv", [
+    header,
+    ["Globex", "", "", "", ""],
+    ["", "FAST-1", 10, 200, "1/5/2025"],
+    ["", "RUN-1 : widget", 2, 110, "1/6/2025"],
+    ["Total - Globex", "", 12, 310, ""],
+    ["Initech", "SLOW-1-New", 1, 45, "1/7/2025"],
+    ["Initech", "MYSTERY", 1, 99, "1/7/2025"],
+    ["Total - Initech", "", 2, 144, ""],
+  ], 0);
+
+  it("keeps customer × item detail lines alongside the totals", () => {
+    const { customers, lines, report } = parseCustomerTable(table);
+    expect(customers.map((c) => [c.customer, c.totalRevenue])).toEqual([["Globex", 310], ["Initech", 144]]);
+    expect(lines.map((l) => [l.customer, l.item])).toEqual([["Globex", "FAST-1"], ["Globex", "RUN-1 : widget"], ["Initech", "SLOW-1-New"], ["Initech", "MYSTERY"]]);
+    expect(report.dropped).toEqual({ "customer group header": 1 });
+  });
+
+  it("joins detail to unit cost and ranks customers by gross profit", () => {
+    const { lines } = parseCustomerTable(table);
+    const { items } = load();
+    const p = customerProfitability(lines, items, 0.3);
+    // Globex: 310 revenue − (10 × 10 + 2 × 60) cost; Initech: 45 − 40, MYSTERY has no cost record
+    expect(p.ranked.map((c) => [c.customer, c.grossProfit])).toEqual([["Globex", 90], ["Initech", 5]]);
+    expect(p.unmatchedRevenue).toBe(99);
+    expect(p.lowMargin.map((c) => c.customer)).toEqual(["Initech", "Globex"]);
+    expect(p.lowMargin[1].worstItems[0]).toMatchObject({ itemCode: "RUN-1", grossProfit: -10 });
+    expect(p.heatmap.customers).toEqual(["Globex", "Initech"]);
+    expect(p.heatmap.cells[1][p.heatmap.items.indexOf("SLOW-1")]).toMatchObject({ revenue: 45, grossProfit: 5 });
+  });
+
+  it("leaves lines with no quantity out of margin as cost-unknown revenue", () => {
+    const { items } = load();
+    const lines = [
+      { customer: "Globex", item: "FAST-1", qty: 10, amount: 200 },
+      { customer: "Globex", item: "FAST-1", qty: 0, amount: 50 },
+    ];
+    const p = customerProfitability(lines, items, 0.3);
+    expect(p.ranked[0]).toMatchObject({ revenue: 200, grossProfit: 100, unmatchedRevenue: 50 });
+    expect(p).toMatchObject({ unmatchedRevenue: 50, noQtyRevenue: 50 });
+  });
+});
+
+describe("alert rules", () => {
+  const items = [
+    { itemCode: "A", itemType: "New", profitMargin: 12, totalRevenue: 15000, totalCost: 2000, daysUntilStockout: 20, daysOfInventory: 40 },
+    { itemCode: "B", itemType: "ReCert", profitMargin: -5, totalRevenue: 8000, totalCost: 800, daysUntilStockout: 45, daysOfInventory: 400 },
+    { itemCode: "C", itemType: "ReCert", profitMargin: 30, totalRevenue: 0, totalCost: 900, daysUntilStockout: Infinity, daysOfInventory: Infinity },
+  ];
+  const rules = [
+    { id: 1, name: "Thin margin", severity: "warning", enabled: true, conditions: [{ field: "profitMargin", op: "lt", value: 15 }, { field: "totalRevenue", op: "gt", value: 10000 }] },
+    { id: 2, name: "Aged ReCert", severity: "info", enabled: true, conditions: [{ field: "daysOfInventory", op: "gt", value: 365 }, { field: "itemType", op: "eq", value: "recert" }] },
+    { id: 3, name: "Off", severity: "critical", enabled: false, conditions: [{ field: "totalCost", op: "gt", value: 0 }] },
+  ];
+
+  it("matches every condition of enabled rules", () => {
+    const alerts = evaluateAlerts(rules, items);
+    expect(alerts.map((a) => [a.rule, a.itemCode, a.status])).toEqual([["Thin margin", "A", "open"], ["Aged ReCert", "B", "open"], ["Aged ReCert", "C", "open"]]);
+    expect(alerts[0].values).toEqual({ profitMargin: 12, totalRevenue: 15000 });
+  });
+
+  it("keeps acknowledged alerts closed and reopens lapsed snoozes", () => {
+    const now = Date.parse("2025-06-01T00:00:00Z");
+    const states = {
+      [alertKey(2, "B")]: { status: "acknowledged" },
+      [alertKey(2, "C")]: { status: "snoozed", until: "2025-06-08T00:00:00Z" },
+      [alertKey(1, "A")]: { status: "snoozed", until: "2025-05-01T00:00:00Z" },
+    };
+    const status = Object.fromEntries(evaluateAlerts(rules, items, states, now).map((a) => [a.key, a.status]));
+    expect(status).toEqual({ "1|A": "open", "2|B": "acknowledged", "2|C": "snoozed" });
+  });
+
+  it("reproduces the built-in stockout and loss alerts", () => {
+    const alerts = evaluateAlerts(DEFAULT_ALERT_RULES.map((r, id) => ({ ...r, id })), items);
+    expect(alerts.map((a) => [a.severity, a.rule, a.itemCode])).toEqual([
+      ["critical", "Critical stockout", "A"], ["warning", "Losing money", "B"], ["warning", "Stockout warning", "B"],
+    ]);
+    expect(alertFields(items)).toContainEqual({ key: "itemType", type: "text" });
+  });
+
+  it("falls back to the default rules while none are saved", () => {
+    expect(alertRulesOrDefaults([]).map((r) => [r.id, r.name])).toEqual([["default-0", "Critical stockout"], ["default-1", "Stockout warning"], ["default-2", "Losing money"]]);
+    expect(alertRulesOrDefaults(undefined)).toHaveLength(DEFAULT_ALERT_RULES.length);
+    expect(alertRulesOrDefaults(rules)).toBe(rules);
+    expect(evaluateAlerts(alertRulesOrDefaults([]), items).map((a) => a.key)).toContain("default-0|A");
+  });
+});
+
+describe("inventory aging", () => {
+  const items = [
+    { itemCode: "A", itemType: "New", Quantity: 150, unitCost: 2 },
+    { itemCode: "B", itemType: "ReCert", Quantity: 10, unitCost: 5 },
+    { itemCode: "C", itemType: "New", Quantity: 0, unitCost: 9 },
+  ];
+  const lineItems = [
+    { supplier: "Acme", item: "A : widget", quantity: 100, totalCost: 200, date: "6/1/2025" },
+    { supplier: "Acme", item: "A : widget", quantity: 100, totalCost: 200, date: "12/1/2024" },
+    { supplier: "Acme", item: "C", quantity: 5, totalCost: 45, date: "1/1/2024" },
+    { supplier: "Acme", item: "A", quantity: 40, totalCost: 80, date: "8/1/2025" },
+  ];
+  const asOf = new Date(2025, 6, 1);
+
+  it("ages on-hand units FIFO against receipts and floors untraced units at the history start", () => {
+    const aging = inventoryAging(items, lineItems, 0.25, asOf);
+    const a = byCode(aging.rows, "A");
+    // 100 newest units received 30 days ago, the other 50 from December; the August receipt is after the as-of date
+    expect(a).toMatchObject({ days0to90: 200, days91to180: 0, days181to365: 100, days365plus: 0, untracedQty: 0 });
+    expect(a.carryingCost).toBeCloseTo(200 * 0.25 * 30 / 365 + 100 * 0.25 * 212 / 365);
+    expect(byCode(aging.rows, "B")).toMatchObject({ days365plus: 50, untracedQty: 10, avgAgeDays: 547 });
+    expect(byCode(aging.rows, "C")).toBeUndefined();
+    expect(aging.buckets.map((b) => b.value)).toEqual([200, 0, 100, 50]);
+    expect(aging.untracedValue).toBe(50);
+    expect(aging.trend.at(-1).cumulative).toBeCloseTo(aging.carryingCost);
+  });
+
+  it("defaults the as-of date to the newest receipt or sale", () => {
+    expect(latestDataDate(lineItems, [{ date: "9/15/2025" }, { date: "" }])).toEqual(new Date(2025, 8, 15));
+    expect(latestDataDate(lineItems, [])).toEqual(new Date(2025, 7, 1));
+  });
+
+  it("needs dated receipts", () => {
+    expect(inventoryAging(items, [{ item: "A", quantity: 1, totalCost: 1, date: "" }], 0.25, asOf)).toBeNull();
+  });
+});
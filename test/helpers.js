@@ -0,0 +1,11 @@
+import fs from "node:fs";
+import path from "node:path";
+import Papa from "papaparse";
+import { tableFrom } from "../src/engine.js";
+
+// fixture CSV -> the { file, headers, rows, headerRow } table the parsers take (header on row 1)
+export function fixtureTable(name) {
+  const text = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+  const rows = Papa.parse(text, { header: false, dynamicTyping: true, skipEmptyLines: true }).data;
+  return tableFrom(name, rows, 0);
+}